@@ -0,0 +1,246 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC admin listener, serving Prometheus metrics at "/metrics", the
+ * status of the server as JSON at "/status", and its health and readiness to
+ * receive requests at "/healthz" and "/readyz". Both report the health checks
+ * of the signing keys and upstream servers, and whether the server is
+ * draining, but "/healthz" only fails if the admin listener does not respond,
+ * so that orchestrators do not restart a server waiting for its upstream
+ * servers. If the transparency log is enabled, its latest signed tree head,
+ * entries and proofs are served as JSON under "/log/".
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const { register } = require("./metrics");
+
+// Paths of the transparency log.
+const LOG_PATHS = [
+    "/log/entries",
+    "/log/proof/consistency",
+    "/log/proof/inclusion",
+    "/log/sth",
+];
+
+// Maximum number of transparency log entries served at once.
+const LOG_ENTRIES_MAX = 1000;
+
+/**
+ * Sends a JSON response.
+ *
+ * @function  sendJson
+ * @param     {http.ServerResponse}  response    The response.
+ * @param     {int}                  statusCode  The response status code.
+ * @param     {Object}               data        The response data.
+ */
+const sendJson = (response, statusCode, data) => {
+    response.statusCode = statusCode;
+    response.setHeader("Cache-Control", "no-store");
+    response.setHeader("Content-Type", "application/json");
+    response.end(`${JSON.stringify(data, null, 4)}\n`);
+};
+
+/**
+ * Reads an integer query parameter.
+ *
+ * @function  getIntegerParam
+ * @param     {URLSearchParams}  params        The query parameters.
+ * @param     {String}           name          The parameter name.
+ * @param     {int}              defaultValue  The default value, if any.
+ * @returns   {int}                            The value.
+ * @throws    {Error}                          If the parameter is missing
+ *                                             or invalid.
+ */
+const getIntegerParam = (params, name, defaultValue) => {
+    const value = params.get(name);
+
+    if (value === null && defaultValue !== undefined) {
+        return defaultValue;
+    }
+
+    if (value === null) {
+        throw new Error(`Missing parameter '${name}'`);
+    }
+
+    if (!/^\d{1,15}$/.test(value)) {
+        throw new Error(`Invalid parameter '${name}'`);
+    }
+
+    return Number(value);
+};
+
+/**
+ * Serves a request for the transparency log. Proofs default to the tree
+ * size of the latest signed tree head.
+ *
+ * @function  serveLog
+ * @param     {Object}               transparencyLog  The transparency log.
+ * @param     {String}               path             The request path.
+ * @param     {URLSearchParams}      params           The query parameters.
+ * @param     {http.ServerResponse}  response         The response.
+ */
+const serveLog = (transparencyLog, path, params, response) => {
+    const treeHead = transparencyLog.getTreeHead();
+    const size = transparencyLog.size();
+
+    if (path === "/log/sth") {
+        if (treeHead === null) {
+            sendJson(response, 503, { error: "No signed tree head yet" });
+        } else {
+            sendJson(response, 200, treeHead);
+        }
+        return;
+    }
+
+    try {
+        if (path === "/log/entries") {
+            const start = getIntegerParam(params, "start");
+            const end = getIntegerParam(
+                params,
+                "end",
+                Math.min(start + LOG_ENTRIES_MAX, size),
+            );
+
+            if (start > end || end > size || end - start > LOG_ENTRIES_MAX) {
+                throw new Error(
+                    `Invalid range: Expected at most ${LOG_ENTRIES_MAX} entries of ${size}`,
+                );
+            }
+
+            sendJson(response, 200, {
+                entries: transparencyLog.getEntries(start, end),
+            });
+        } else if (path === "/log/proof/inclusion") {
+            const index = getIntegerParam(params, "index");
+            const treeSize = getIntegerParam(
+                params,
+                "treeSize",
+                treeHead?.treeSize,
+            );
+
+            if (index >= treeSize || treeSize > size) {
+                throw new Error(
+                    `Invalid index: Expected less than the tree size, at most ${size}`,
+                );
+            }
+
+            sendJson(
+                response,
+                200,
+                transparencyLog.proveInclusion(index, treeSize),
+            );
+        } else {
+            const first = getIntegerParam(params, "first");
+            const second = getIntegerParam(
+                params,
+                "second",
+                treeHead?.treeSize,
+            );
+
+            if (first < 1 || first > second || second > size) {
+                throw new Error(
+                    `Invalid tree sizes: Expected 1 <= first <= second <= ${size}`,
+                );
+            }
+
+            sendJson(
+                response,
+                200,
+                transparencyLog.proveConsistency(first, second),
+            );
+        }
+    } catch (error) {
+        sendJson(response, 400, { error: error.message });
+    }
+};
+
+/**
+ * Creates the request handler of the admin listener.
+ *
+ * @function  createAdminHandler
+ * @param     {Object}    options                  The admin listener options.
+ * @param     {Function}  options.getStatus        Returns the status of the server.
+ * @param     {Function}  options.getReadiness     Returns whether the server is
+ *                                                 ready, whether it is draining,
+ *                                                 and its health checks.
+ * @param     {Object}    options.registry         The registry of the metrics, such
+ *                                                 as the aggregated metrics of
+ *                                                 cluster workers.
+ * @param     {Object}    options.transparencyLog  The transparency log, or null
+ *                                                 if disabled.
+ * @returns   {Function}                           The request handler.
+ */
+const createAdminHandler = ({
+    getStatus,
+    getReadiness,
+    registry = register,
+    transparencyLog = null,
+}) => {
+    return (request, response) => {
+        const [path, query] = request.url.split("?");
+        const paths = [
+            "/healthz",
+            "/metrics",
+            "/readyz",
+            "/status",
+            ...(transparencyLog === null ? [] : LOG_PATHS),
+        ];
+
+        if (!paths.includes(path)) {
+            sendJson(response, 404, { error: "Not found" });
+            return;
+        }
+
+        if (request.method !== "GET") {
+            response.setHeader("Allow", "GET");
+            sendJson(response, 405, { error: "Method not allowed" });
+            return;
+        }
+
+        if (path === "/status") {
+            sendJson(response, 200, getStatus());
+            return;
+        }
+
+        if (LOG_PATHS.includes(path)) {
+            serveLog(
+                transparencyLog,
+                path,
+                new URLSearchParams(query),
+                response,
+            );
+            return;
+        }
+
+        if (path === "/healthz") {
+            sendJson(response, 200, { status: "ok", ...getReadiness() });
+            return;
+        }
+
+        if (path === "/readyz") {
+            const readiness = getReadiness();
+
+            // Load balancers only need the status code.
+            sendJson(response, readiness.ready ? 200 : 503, readiness);
+            return;
+        }
+
+        registry
+            .metrics()
+            .then((output) => {
+                response.setHeader("Content-Type", registry.contentType);
+                response.end(output);
+            })
+            .catch((error) => {
+                sendJson(response, 500, { error: error.message });
+            });
+    };
+};
+
+module.exports = { createAdminHandler };
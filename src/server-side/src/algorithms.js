@@ -0,0 +1,155 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC signature algorithms.
+ *
+ * The algorithm of a signature is advertised in the X-ARC-ALGO HTTP header
+ * using the names below, and must match the algorithm of the public key
+ * published in DNS. The content digest is always SHA-256.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const ECDSA_P256 = "ECDSA_P-256; SHA-256";
+const ECDSA_P384 = "ECDSA_P-384; SHA-384";
+const ED25519 = "Ed25519";
+const RSA_PSS = "RSA-PSS; SHA-256";
+
+// Algorithm of public keys published in DNS without one.
+const DEFAULT_SIGNATURE_ALGORITHM = ECDSA_P256;
+
+// Smallest RSA modulus accepted, in bits.
+const RSA_MIN_MODULUS_LENGTH = 2048;
+
+// Modulus length of generated RSA keys, in bits.
+const RSA_DEFAULT_MODULUS_LENGTH = 3072;
+
+// WebCrypto parameters of each algorithm, for importing keys and signing,
+// and the Node.js key type and options for generating keys.
+const SIGNATURE_ALGORITHMS = new Map([
+    [
+        ECDSA_P256,
+        {
+            importParams: { name: "ECDSA", namedCurve: "P-256" },
+            signParams: { name: "ECDSA", hash: "SHA-256" },
+            keyType: "ec",
+            keyOptions: { namedCurve: "P-256" },
+        },
+    ],
+    [
+        ECDSA_P384,
+        {
+            importParams: { name: "ECDSA", namedCurve: "P-384" },
+            signParams: { name: "ECDSA", hash: "SHA-384" },
+            keyType: "ec",
+            keyOptions: { namedCurve: "P-384" },
+        },
+    ],
+    [
+        ED25519,
+        {
+            importParams: { name: "Ed25519" },
+            signParams: { name: "Ed25519" },
+            keyType: "ed25519",
+            keyOptions: {},
+        },
+    ],
+    [
+        RSA_PSS,
+        {
+            importParams: { name: "RSA-PSS", hash: "SHA-256" },
+            signParams: { name: "RSA-PSS", saltLength: 32 },
+            // WebCrypto only imports RSA keys with the rsaEncryption OID.
+            keyType: "rsa",
+            keyOptions: { modulusLength: RSA_DEFAULT_MODULUS_LENGTH },
+        },
+    ],
+]);
+
+// Command line names of the algorithms.
+const SIGNATURE_ALGORITHM_NAMES = new Map([
+    ["ecdsa-p256", ECDSA_P256],
+    ["ecdsa-p384", ECDSA_P384],
+    ["ed25519", ED25519],
+    ["rsa-pss", RSA_PSS],
+]);
+
+/**
+ * Detects the signature algorithm of a private key.
+ *
+ * @function  detectSignatureAlgorithm
+ * @param     {crypto.KeyObject}  privateKey  The private key.
+ * @returns   {String}                        The algorithm name.
+ * @throws    {Error}                         If the key type is not supported.
+ */
+const detectSignatureAlgorithm = (privateKey) => {
+    const { asymmetricKeyType: keyType, asymmetricKeyDetails: details } =
+        privateKey;
+
+    switch (keyType) {
+        case "ec":
+            if (details.namedCurve === "prime256v1") {
+                return ECDSA_P256;
+            }
+            if (details.namedCurve === "secp384r1") {
+                return ECDSA_P384;
+            }
+
+            throw new Error(`Unsupported EC curve '${details.namedCurve}'`);
+        case "ed25519":
+            return ED25519;
+        case "rsa":
+            if (details.modulusLength < RSA_MIN_MODULUS_LENGTH) {
+                throw new Error(
+                    `RSA key must be at least ${RSA_MIN_MODULUS_LENGTH} bits`,
+                );
+            }
+
+            return RSA_PSS;
+        case "rsa-pss":
+            // WebCrypto only imports RSA keys with the rsaEncryption OID.
+            throw new Error(
+                "RSA-PSS keys are not supported, use an RSA (rsaEncryption) key",
+            );
+        default:
+            throw new Error(`Unsupported key type '${keyType}'`);
+    }
+};
+
+/**
+ * Normalises the name of a signature algorithm, as the browser extension
+ * does.
+ *
+ * @function  normalizeSignatureAlgorithm
+ * @param     {String}  algorithm  The algorithm name, e.g. "ECDSA_P-256; SHA-256".
+ * @returns   {String}             The supported algorithm name, or null.
+ */
+const normalizeSignatureAlgorithm = (algorithm) => {
+    const name = algorithm
+        .split(";")
+        .map((part) => {
+            return part.trim();
+        })
+        .join("; ")
+        .toLowerCase();
+
+    return (
+        [...SIGNATURE_ALGORITHMS.keys()].find((supported) => {
+            return supported.toLowerCase() === name;
+        }) ?? null
+    );
+};
+
+module.exports = {
+    DEFAULT_SIGNATURE_ALGORITHM,
+    RSA_MIN_MODULUS_LENGTH,
+    SIGNATURE_ALGORITHMS,
+    SIGNATURE_ALGORITHM_NAMES,
+    detectSignatureAlgorithm,
+    normalizeSignatureAlgorithm,
+};
@@ -0,0 +1,185 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC TLS certificates.
+ *
+ * Each certificate is loaded with its private key and selected using Server
+ * Name Indication (SNI), matching the DNS names of its subject alternative
+ * name extension. The first certificate is the default.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const tls = require("tls");
+
+// Interval at which certificate files are checked for changes.
+const WATCH_INTERVAL = 5000;
+
+// Delay before reloading, so that a certificate and its key can both be
+// replaced before they are loaded.
+const RELOAD_DELAY = 1000;
+
+/**
+ * Determines the host names a certificate is valid for.
+ *
+ * @function  getHostnames
+ * @param     {crypto.X509Certificate}  certificate  The certificate.
+ * @returns   {Array}                                The lowercase host names,
+ *                                                   which may be wildcards.
+ */
+const getHostnames = (certificate) => {
+    const hostnames = (certificate.subjectAltName ?? "")
+        .split(",")
+        .map((name) => {
+            return name.trim();
+        })
+        .filter((name) => {
+            return name.startsWith("DNS:");
+        })
+        .map((name) => {
+            return name.substring(4).toLowerCase();
+        });
+
+    if (hostnames.length === 0) {
+        // Fall back to the common name of certificates without DNS names.
+        const commonName = certificate.subject.split("\n").find((line) => {
+            return line.startsWith("CN=");
+        });
+
+        if (commonName !== undefined) {
+            hostnames.push(commonName.substring(3).toLowerCase());
+        }
+    }
+
+    return hostnames;
+};
+
+/**
+ * Loads certificates and their private keys.
+ *
+ * @function  loadCertificates
+ * @param     {Array}  certPaths  Paths to the PEM-encoded certificate chains.
+ * @param     {Array}  keyPaths   Paths to the PEM-encoded private keys, in the
+ *                                same order as the certificates.
+ * @returns   {Array}             The certificates, each with its file paths,
+ *                                host names, expiry time and TLS context.
+ * @throws    {Error}             If a certificate or key is invalid.
+ */
+const loadCertificates = (certPaths, keyPaths) => {
+    if (certPaths.length !== keyPaths.length) {
+        throw new Error("Each TLS certificate requires a matching TLS key");
+    }
+
+    return certPaths.map((certPath, i) => {
+        const keyPath = keyPaths[i];
+        let cert;
+        let key;
+        let certificate;
+
+        try {
+            cert = fs.readFileSync(certPath);
+            key = fs.readFileSync(keyPath);
+            // The first certificate of the chain is the leaf certificate.
+            certificate = new crypto.X509Certificate(cert);
+        } catch (error) {
+            throw new Error(
+                `Failed to load TLS certificate '${certPath}': ${error.message}`,
+            );
+        }
+
+        try {
+            if (!certificate.checkPrivateKey(crypto.createPrivateKey(key))) {
+                throw new Error("Private key does not match certificate");
+            }
+        } catch (error) {
+            throw new Error(
+                `Failed to load TLS key '${keyPath}': ${error.message}`,
+            );
+        }
+
+        return {
+            certPath: certPath,
+            keyPath: keyPath,
+            hostnames: getHostnames(certificate),
+            validTo: certificate.validTo,
+            context: tls.createSecureContext({ cert: cert, key: key }),
+            options: { cert: cert, key: key },
+        };
+    });
+};
+
+/**
+ * Selects the certificate for a server name, defaulting to the first
+ * certificate. Wildcards only match a single label.
+ *
+ * @function  selectCertificate
+ * @param     {Array}   certificates  The certificates.
+ * @param     {String}  servername    The server name requested using SNI.
+ * @returns   {Object}                The certificate.
+ */
+const selectCertificate = (certificates, servername) => {
+    const name = (servername ?? "").toLowerCase();
+    const wildcard = `*${name.substring(name.indexOf("."))}`;
+
+    return (
+        certificates.find((c) => {
+            return c.hostnames.includes(name);
+        }) ??
+        certificates.find((c) => {
+            return name.includes(".") && c.hostnames.includes(wildcard);
+        }) ??
+        certificates[0]
+    );
+};
+
+/**
+ * Watches certificate and key files, calling a listener once they change.
+ *
+ * @function  watchCertificates
+ * @param     {Array}     certificates  The certificates to watch.
+ * @param     {Function}  listener      Called after the files change.
+ * @returns   {Function}                Stops watching the files.
+ */
+const watchCertificates = (certificates, listener) => {
+    const paths = [
+        ...new Set(
+            certificates.flatMap((c) => {
+                return [c.certPath, c.keyPath];
+            }),
+        ),
+    ];
+    let timeout = null;
+
+    const onChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) {
+            return;
+        }
+
+        clearTimeout(timeout);
+        timeout = setTimeout(listener, RELOAD_DELAY);
+    };
+
+    paths.forEach((path) => {
+        fs.watchFile(
+            path,
+            { interval: WATCH_INTERVAL, persistent: false },
+            onChange,
+        );
+    });
+
+    return () => {
+        clearTimeout(timeout);
+        paths.forEach((path) => {
+            fs.unwatchFile(path, onChange);
+        });
+    };
+};
+
+module.exports = { loadCertificates, selectCertificate, watchCertificates };
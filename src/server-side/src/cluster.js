@@ -0,0 +1,340 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC cluster mode.
+ *
+ * The primary process forks worker processes, which share its listeners and
+ * each proxy and sign requests on their own event loop. The primary process
+ * coordinates them: It restarts workers that exit unexpectedly, reloads and
+ * stops them on request, and answers their requests for state shared between
+ * them.
+ *
+ * The primary process and each worker exchange requests and responses over
+ * the IPC channel of the worker, in either direction:
+ *
+ *     > {"harc":"request","id":1,"method":"reload","params":{}}
+ *     < {"harc":"response","id":1,"result":true}
+ *     < {"harc":"response","id":2,"error":"Invalid route: ..."}
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const cluster = require("cluster");
+
+// Default timeout of requests over the IPC channel, in milliseconds.
+const REQUEST_TIMEOUT = 1000;
+
+// Delay before restarting a worker that exited unexpectedly, in milliseconds.
+const WORKER_RESTART_DELAY = 1000;
+
+// Time allowed for a worker to exit once disconnected, in milliseconds.
+const WORKER_EXIT_TIMEOUT = 5000;
+
+/**
+ * Creates a channel exchanging requests and responses over an IPC channel.
+ * Messages of other protocols on the same IPC channel are ignored.
+ *
+ * @function  createChannel
+ * @param     {Function}  send  Sends a message over the IPC channel.
+ * @returns   {Object}          The channel.
+ */
+const createChannel = (send) => {
+    const handlers = new Map();
+    const pending = new Map();
+    let nextId = 1;
+
+    const trySend = (message) => {
+        try {
+            send(message);
+            return null;
+        } catch (error) {
+            // The IPC channel is closed.
+            return error;
+        }
+    };
+
+    /**
+     * Sends a request, resolving to its result.
+     *
+     * @param   {String}  method   The method.
+     * @param   {Object}  params   The parameters.
+     * @param   {int}     timeout  The timeout, in milliseconds.
+     * @returns {Promise}          The result.
+     */
+    const request = (method, params = {}, timeout = REQUEST_TIMEOUT) => {
+        const id = nextId;
+
+        nextId += 1;
+
+        return new Promise((resolve, reject) => {
+            pending.set(id, {
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error(`Timed out after ${timeout} ms`));
+                }, timeout),
+            });
+
+            const error = trySend({
+                harc: "request",
+                id: id,
+                method: method,
+                params: params,
+            });
+
+            if (error !== null) {
+                clearTimeout(pending.get(id).timer);
+                pending.delete(id);
+                reject(error);
+            }
+        });
+    };
+
+    /**
+     * Registers the handler of a method, called with the parameters of each
+     * request and returning its result, or a promise of it.
+     *
+     * @param  {String}    method   The method.
+     * @param  {Function}  handler  The handler.
+     */
+    const handle = (method, handler) => {
+        handlers.set(method, handler);
+    };
+
+    /**
+     * Handles a message received over the IPC channel.
+     *
+     * @param  {Object}  message  The message.
+     */
+    const receive = (message) => {
+        if (message?.harc === "response") {
+            const entry = pending.get(message.id);
+
+            if (entry !== undefined) {
+                pending.delete(message.id);
+                clearTimeout(entry.timer);
+
+                if (message.error === undefined) {
+                    entry.resolve(message.result);
+                } else {
+                    entry.reject(new Error(`${message.error}`));
+                }
+            }
+        } else if (message?.harc === "request") {
+            Promise.resolve()
+                .then(() => {
+                    const handler = handlers.get(message.method);
+
+                    if (handler === undefined) {
+                        throw new Error(`Unknown method '${message.method}'`);
+                    }
+
+                    return handler(message.params ?? {});
+                })
+                .then(
+                    (result) => {
+                        return { result: result ?? null };
+                    },
+                    (error) => {
+                        return { error: error.message };
+                    },
+                )
+                .then((response) => {
+                    trySend({ harc: "response", id: message.id, ...response });
+                });
+        }
+    };
+
+    /**
+     * Fails the pending requests, once the IPC channel is closed.
+     */
+    const close = () => {
+        [...pending].forEach(([id, entry]) => {
+            pending.delete(id);
+            clearTimeout(entry.timer);
+            entry.reject(new Error("IPC channel closed"));
+        });
+    };
+
+    return {
+        request: request,
+        handle: handle,
+        receive: receive,
+        close: close,
+    };
+};
+
+/**
+ * Forks the workers, restarting those that exit unexpectedly. Must be
+ * called in the primary process.
+ *
+ * @function  startWorkers
+ * @param     {int}       count     The number of workers.
+ * @param     {Object}    handlers  The handlers of requests from workers, by method.
+ * @param     {Function}  log       Called with a message and log level.
+ * @returns   {Object}              The workers.
+ */
+const startWorkers = (count, handlers, log) => {
+    const workers = new Map();
+    let stopping = false;
+
+    const fork = () => {
+        if (stopping) {
+            return;
+        }
+
+        const worker = cluster.fork();
+        const channel = createChannel((message) => {
+            worker.send(message);
+        });
+        const entry = {
+            worker: worker,
+            channel: channel,
+            startedAt: new Date(),
+        };
+
+        Object.entries(handlers).forEach(([method, handler]) => {
+            channel.handle(method, handler);
+        });
+
+        workers.set(worker.id, entry);
+        worker.on("message", channel.receive);
+        worker.once("exit", (code, signal) => {
+            workers.delete(worker.id);
+            channel.close();
+
+            if (!stopping) {
+                log(
+                    `Worker ${worker.process.pid} exited (${
+                        signal ?? `code ${code}`
+                    }), restarting it...`,
+                    "error",
+                );
+                setTimeout(fork, WORKER_RESTART_DELAY);
+            }
+        });
+    };
+
+    for (let i = 0; i < count; i++) {
+        fork();
+    }
+
+    /**
+     * Lists the running workers.
+     *
+     * @returns {Array}  The process ID and start time of each worker.
+     */
+    const list = () => {
+        return [...workers.values()].map(({ worker, startedAt }) => {
+            return { pid: worker.process.pid, startedAt: startedAt };
+        });
+    };
+
+    /**
+     * Sends a request to every worker.
+     *
+     * @param   {String}  method   The method.
+     * @param   {Object}  params   The parameters.
+     * @param   {int}     timeout  The timeout, in milliseconds.
+     * @returns {Array}            The process ID of each worker, with the
+     *                             result of its request or the error.
+     */
+    const broadcast = (method, params = {}, timeout = REQUEST_TIMEOUT) => {
+        return Promise.all(
+            [...workers.values()].map(({ worker, channel }) => {
+                return channel.request(method, params, timeout).then(
+                    (result) => {
+                        return { pid: worker.process.pid, result: result };
+                    },
+                    (error) => {
+                        return { pid: worker.process.pid, error: error };
+                    },
+                );
+            }),
+        );
+    };
+
+    /**
+     * Stops the workers. Each worker is sent a "stop" request, to finish its
+     * responses in progress, and is then disconnected, exiting once its
+     * listeners are closed. Workers not exiting in time are killed. Exited
+     * workers are no longer restarted.
+     *
+     * @param   {int}      timeout  The timeout of the stop requests, in milliseconds.
+     * @returns {Promise}           Resolves to the process ID of each worker,
+     *                              with the result of its stop request or the
+     *                              error, once every worker exited.
+     */
+    const stop = (timeout) => {
+        stopping = true;
+
+        return Promise.all(
+            [...workers.values()].map(({ worker, channel }) => {
+                const { pid } = worker.process;
+                let timer = null;
+                const exited = new Promise((resolve) => {
+                    worker.once("exit", resolve);
+                });
+                const stopped = channel.request("stop", {}, timeout).then(
+                    (result) => {
+                        return { pid: pid, result: result };
+                    },
+                    (error) => {
+                        return { pid: pid, error: error };
+                    },
+                );
+
+                stopped.then(() => {
+                    if (!worker.isConnected()) {
+                        return;
+                    }
+
+                    timer = setTimeout(() => {
+                        log(
+                            `Worker ${pid} did not stop in time, killing it.`,
+                            "warn",
+                        );
+                        worker.process.kill("SIGKILL");
+                    }, WORKER_EXIT_TIMEOUT);
+                    worker.disconnect();
+                });
+
+                return Promise.all([stopped, exited]).then(([outcome]) => {
+                    clearTimeout(timer);
+                    return outcome;
+                });
+            }),
+        );
+    };
+
+    return { list: list, broadcast: broadcast, stop: stop };
+};
+
+/**
+ * Connects a worker to the primary process. Must be called in a worker.
+ * The worker exits once disconnected, after its listeners are closed.
+ *
+ * @function  connectPrimary
+ * @returns   {Object}  The channel to the primary process.
+ */
+const connectPrimary = () => {
+    const channel = createChannel((message) => {
+        process.send(message);
+    });
+
+    process.on("message", channel.receive);
+    process.once("disconnect", () => {
+        channel.close();
+        process.exit(0);
+    });
+
+    return channel;
+};
+
+module.exports = { connectPrimary, startWorkers };
@@ -0,0 +1,1095 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC Server-side subcommands, managing signing keys, pre-signing static
+ * sites and verifying deployments.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+/* eslint-disable no-console */
+
+const fs = require("fs");
+const path = require("path");
+const yargs = require("yargs/yargs");
+const {
+    RSA_MIN_MODULUS_LENGTH,
+    SIGNATURE_ALGORITHM_NAMES,
+} = require("./algorithms");
+const {
+    DEFAULT_DOH_RESOLVER,
+    HARC_VALID_ACTIONS,
+    findUnpublishedKeys,
+    formatRecordValue,
+    formatZoneRecord,
+    getRecordName,
+    lookupServerAddress,
+    parseTsigKey,
+    updateTxtRecords,
+} = require("./dns");
+const {
+    PASSPHRASE_ENV,
+    createPassphraseSource,
+    describePublicKey,
+    exportPrivateKey,
+    generateSigningKey,
+    loadPublicKey,
+    promptPassphrase,
+} = require("./keys");
+const { prettyLog } = require("./logging");
+const { createSigningPolicy, parsePolicyRule } = require("./policy");
+const {
+    MANIFEST_FORMATS,
+    formatHeadersFile,
+    formatNginxConfig,
+    formatSidecars,
+    signDirectory,
+} = require("./presign");
+const { SOCKET_SIGNER_PREFIX, loadSigner, serveSigner } = require("./signers");
+const { parseSignedHeaders } = require("./signing");
+const {
+    verifyConsistency,
+    verifyInclusion,
+    verifyTreeHead,
+} = require("./transparency");
+const { verifyUrl } = require("./verify");
+
+// Labels of the steps reported by the verify subcommand.
+const VERIFY_STEP_LABELS = new Map([
+    [true, "PASS"],
+    [false, "FAIL"],
+    [null, "INFO"],
+]);
+
+/**
+ * Reads a JSON file.
+ *
+ * @function  readJsonFile
+ * @param     {String}  filePath  The path to the file.
+ * @param     {String}  label     Describes the file in errors.
+ * @returns   {Object}            The parsed content.
+ * @throws    {Error}             If the file cannot be read or parsed.
+ */
+const readJsonFile = (filePath, label) => {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+        throw new Error(
+            `Failed to read ${label} '${filePath}': ${error.message}`,
+        );
+    }
+};
+
+/**
+ * Adds the options describing the DNS record of a key.
+ *
+ * @function  dnsRecordOptions
+ * @param     {Object}  parser  The yargs parser.
+ * @returns   {Object}          The yargs parser.
+ */
+const dnsRecordOptions = (parser) => {
+    return parser
+        .option("action", {
+            choices: HARC_VALID_ACTIONS,
+            description:
+                "Action of the browser extension when validation fails.",
+            default: "warn",
+        })
+        .option("domain", {
+            type: "string",
+            description:
+                "Registrable domain of the website, e.g. 'example.com'. Without a domain, only the record value is printed.",
+        })
+        .option("subdomain", {
+            type: "string",
+            description:
+                "Subdomain of the website, e.g. 'www' for 'www.example.com'.",
+        })
+        .option("ttl", {
+            type: "number",
+            description: "Time to live of the DNS record, in seconds.",
+            default: 3600,
+        });
+};
+
+/**
+ * Formats the DNS record publishing a public key, as a zone file line if a
+ * domain is given, or otherwise as the record value.
+ *
+ * @function  formatDnsRecord
+ * @param     {Object}  args  The parsed arguments.
+ * @param     {Object}  key   The public key, as returned by describePublicKey.
+ * @returns   {String}        The DNS record.
+ */
+const formatDnsRecord = (args, key) => {
+    const value = formatRecordValue(
+        args.action,
+        key.algorithm,
+        key.publicKeyDer,
+    );
+
+    if (args.domain === undefined) {
+        return value;
+    }
+
+    return formatZoneRecord(
+        getRecordName(args.domain, args.subdomain),
+        args.ttl,
+        value,
+    );
+};
+
+/**
+ * Obtains the passphrase to encrypt a new key with, prompting for it twice
+ * on a terminal.
+ *
+ * @async
+ * @function  getNewPassphrase
+ * @param     {Object}  args  The parsed arguments.
+ * @returns   {String}        The passphrase.
+ * @throws    {Error}         If no passphrase is given, or they differ.
+ */
+const getNewPassphrase = async (args) => {
+    let passphrase;
+
+    if (
+        args.passphraseFile !== undefined ||
+        process.env[PASSPHRASE_ENV] !== undefined ||
+        !process.stdin.isTTY
+    ) {
+        passphrase = await createPassphraseSource()(args.passphraseFile);
+    } else {
+        passphrase = await promptPassphrase("New passphrase: ");
+
+        if ((await promptPassphrase("Repeat passphrase: ")) !== passphrase) {
+            throw new Error("Passphrases do not match");
+        }
+    }
+
+    if (passphrase === "") {
+        throw new Error("Passphrase must not be empty");
+    }
+
+    return passphrase;
+};
+
+const keygenCommand = {
+    command: "keygen [out]",
+    describe: "Generate a signing key.",
+    builder: (parser) => {
+        return dnsRecordOptions(
+            parser
+                .positional("out", {
+                    type: "string",
+                    description:
+                        "Path to write the PEM-encoded private key to.",
+                    default: "harc.pem",
+                })
+                .option("algorithm", {
+                    alias: "a",
+                    choices: [...SIGNATURE_ALGORITHM_NAMES.keys()],
+                    description: "Signature algorithm of the key.",
+                    default: "ecdsa-p256",
+                })
+                .option("rsaBits", {
+                    type: "number",
+                    description: "Modulus length of RSA keys, in bits.",
+                    default: 3072,
+                })
+                .option("encrypt", {
+                    boolean: true,
+                    description: `Encrypt the key with a passphrase, read from --passphraseFile or ${PASSPHRASE_ENV}, or prompted for.`,
+                })
+                .option("passphraseFile", {
+                    type: "string",
+                    description:
+                        "Path to a file containing the passphrase to encrypt the key with.",
+                })
+                .option("force", {
+                    boolean: true,
+                    description: "Overwrite an existing key file.",
+                }),
+        );
+    },
+    handler: async (args) => {
+        if (
+            !Number.isInteger(args.rsaBits) ||
+            args.rsaBits < RSA_MIN_MODULUS_LENGTH
+        ) {
+            throw new Error(
+                `Invalid RSA key size '${args.rsaBits}': Must be at least ${RSA_MIN_MODULUS_LENGTH} bits`,
+            );
+        }
+
+        const passphrase =
+            args.encrypt || args.passphraseFile !== undefined
+                ? await getNewPassphrase(args)
+                : null;
+        const { privateKey, publicKey } = generateSigningKey(
+            SIGNATURE_ALGORITHM_NAMES.get(args.algorithm),
+            args.rsaBits,
+        );
+
+        try {
+            // Never replace an existing key unless asked to.
+            fs.writeFileSync(
+                args.out,
+                exportPrivateKey(privateKey, passphrase),
+                {
+                    flag: args.force ? "w" : "wx",
+                    mode: 0o600,
+                },
+            );
+            fs.chmodSync(args.out, 0o600);
+        } catch (error) {
+            throw new Error(
+                error.code === "EEXIST"
+                    ? `Failed to write '${args.out}': File exists, use --force to overwrite`
+                    : `Failed to write '${args.out}': ${error.message}`,
+            );
+        }
+
+        const key = describePublicKey(publicKey);
+
+        console.log(
+            `Generated HARC signing key: ${args.out}${
+                passphrase === null ? "" : " (encrypted)"
+            }`,
+        );
+        console.log(`Algorithm:   ${key.algorithm}`);
+        console.log(`Key ID:      ${key.id}`);
+        console.log(`Fingerprint: sha256:${key.fingerprint}`);
+        console.log("");
+        console.log("Publish the public key as a DNS TXT record:");
+        console.log(formatDnsRecord(args, key));
+    },
+};
+
+const pubkeyCommand = {
+    command: "pubkey <key>",
+    describe: "Print the public key of a signing key.",
+    builder: (parser) => {
+        return parser
+            .positional("key", {
+                type: "string",
+                description: "Path to the PEM-encoded private or public key.",
+            })
+            .option("fingerprint", {
+                boolean: true,
+                description:
+                    "Print the algorithm, key ID and fingerprint instead.",
+            })
+            .option("passphraseFile", {
+                type: "string",
+                description:
+                    "Path to a file containing the passphrase of an encrypted key.",
+            });
+    },
+    handler: async (args) => {
+        const getPassphrase = createPassphraseSource();
+        const publicKey = await loadPublicKey(args.key, () => {
+            return getPassphrase(args.passphraseFile);
+        });
+
+        if (!args.fingerprint) {
+            process.stdout.write(
+                publicKey.export({ type: "spki", format: "pem" }),
+            );
+            return;
+        }
+
+        const key = describePublicKey(publicKey);
+
+        console.log(`Algorithm:   ${key.algorithm}`);
+        console.log(`Key ID:      ${key.id}`);
+        console.log(`Fingerprint: sha256:${key.fingerprint}`);
+    },
+};
+
+const dnsRecordCommand = {
+    command: "dns-record <key..>",
+    describe: "Print the DNS TXT records publishing signing keys.",
+    builder: (parser) => {
+        return dnsRecordOptions(
+            parser
+                .positional("key", {
+                    type: "string",
+                    description:
+                        "Paths to the PEM-encoded private or public keys.",
+                })
+                .option("passphraseFile", {
+                    type: "string",
+                    description:
+                        "Path to a file containing the passphrase of encrypted keys.",
+                }),
+        );
+    },
+    handler: async (args) => {
+        const getPassphrase = createPassphraseSource();
+
+        // eslint-disable-next-line no-restricted-syntax
+        for (const keyFilePath of args.key) {
+            // eslint-disable-next-line no-await-in-loop
+            const publicKey = await loadPublicKey(keyFilePath, () => {
+                return getPassphrase(args.passphraseFile);
+            });
+
+            console.log(formatDnsRecord(args, describePublicKey(publicKey)));
+        }
+    },
+};
+
+const publishDnsCommand = {
+    command: "publish-dns <key..>",
+    describe:
+        "Publish the DNS TXT records of signing keys using a dynamic update signed with a TSIG key, replacing the existing records.",
+    builder: (parser) => {
+        return dnsRecordOptions(
+            parser
+                .positional("key", {
+                    type: "string",
+                    description:
+                        "Paths to the PEM-encoded private or public keys.",
+                })
+                .option("passphraseFile", {
+                    type: "string",
+                    description:
+                        "Path to a file containing the passphrase of encrypted keys.",
+                }),
+        )
+            .option("domain", {
+                type: "string",
+                description:
+                    "Registrable domain of the website, e.g. 'example.com'.",
+                demandOption: true,
+            })
+            .option("subdomain", {
+                type: "string",
+                array: true,
+                description:
+                    "Subdomains of the website, e.g. 'www' for 'www.example.com'. Repeat to publish the records of several hosts, and use '' for the registrable domain itself.",
+                default: [],
+            })
+            .option("server", {
+                alias: "s",
+                type: "string",
+                description:
+                    "Address of the authoritative DNS server accepting dynamic updates, e.g. 'ns1.example.com' or '192.0.2.1:5353'.",
+                demandOption: true,
+            })
+            .option("zone", {
+                type: "string",
+                description:
+                    "Zone containing the records. Defaults to the domain.",
+            })
+            .option("tsigKey", {
+                type: "string",
+                description:
+                    "Path to the TSIG key authorizing the update, as a BIND key file or 'algorithm:name:secret'.",
+                demandOption: true,
+            })
+            .option("timeout", {
+                type: "number",
+                description:
+                    "Timeout of the update and of the DNS queries checking it, in milliseconds.",
+                default: 5000,
+            });
+    },
+    handler: async (args) => {
+        [
+            ["ttl", "TTL", 0],
+            ["timeout", "timeout", 1],
+        ].forEach(([name, label, min]) => {
+            if (!Number.isInteger(args[name]) || args[name] < min) {
+                throw new Error(
+                    `Invalid ${label} '${args[name]}': Must be an integer of at least ${min}`,
+                );
+            }
+        });
+
+        let tsigKey;
+
+        try {
+            tsigKey = parseTsigKey(fs.readFileSync(args.tsigKey, "utf-8"));
+        } catch (error) {
+            throw new Error(
+                `Failed to load TSIG key '${args.tsigKey}': ${error.message}`,
+            );
+        }
+
+        const server = await lookupServerAddress(args.server);
+        const getPassphrase = createPassphraseSource();
+        const keys = [];
+
+        // eslint-disable-next-line no-restricted-syntax
+        for (const keyFilePath of args.key) {
+            // eslint-disable-next-line no-await-in-loop
+            const publicKey = await loadPublicKey(keyFilePath, () => {
+                return getPassphrase(args.passphraseFile);
+            });
+
+            keys.push(describePublicKey(publicKey));
+        }
+
+        const values = keys.map((key) => {
+            return formatRecordValue(
+                args.action,
+                key.algorithm,
+                key.publicKeyDer,
+            );
+        });
+        const subdomains =
+            args.subdomain.length === 0 ? [undefined] : args.subdomain;
+        const records = new Map(
+            subdomains.map((subdomain) => {
+                return [getRecordName(args.domain, subdomain), values];
+            }),
+        );
+
+        await updateTxtRecords({
+            server: server,
+            zone: args.zone ?? args.domain,
+            records: records,
+            ttl: args.ttl,
+            key: tsigKey,
+            timeout: args.timeout,
+        });
+
+        console.log(`Published DNS TXT records to ${args.server}:`);
+        records.forEach((recordValues, name) => {
+            recordValues.forEach((value) => {
+                console.log(formatZoneRecord(name, args.ttl, value));
+            });
+        });
+
+        // Query the records back from the server.
+        const publishedKeys = keys.map((key) => {
+            return {
+                algorithm: key.algorithm,
+                publicKey: key.publicKeyDer.toString("base64"),
+            };
+        });
+        const names = [...records.keys()];
+        const unpublished = await Promise.all(
+            names.map((name) => {
+                return findUnpublishedKeys(name, publishedKeys, {
+                    server: server,
+                    timeout: args.timeout,
+                });
+            }),
+        );
+        const staleName = names.find((name, i) => {
+            return unpublished[i].length !== 0;
+        });
+
+        if (staleName !== undefined) {
+            throw new Error(
+                `DNS server ${args.server} does not serve the published records of '${staleName}'`,
+            );
+        }
+    },
+};
+
+const signDirCommand = {
+    command: "sign-dir <dir>",
+    describe:
+        "Sign the files of a static site, writing the signatures as sidecar files or header rules.",
+    builder: (parser) => {
+        return parser
+            .positional("dir", {
+                type: "string",
+                description: "Path to the build directory of the site.",
+            })
+            .option("signingKey", {
+                alias: "k",
+                type: "string",
+                description: `Path to HARC signing key, or '${SOCKET_SIGNER_PREFIX}PATH' of the socket of an external signer.`,
+                demandOption: true,
+            })
+            .option("passphraseFile", {
+                type: "string",
+                description:
+                    "Path to a file containing the passphrase of an encrypted key.",
+            })
+            .option("signerTimeout", {
+                type: "number",
+                description:
+                    "Timeout of requests to an external signer, in milliseconds.",
+                default: 1000,
+            })
+            .option("baseUrl", {
+                alias: "u",
+                type: "string",
+                description:
+                    "URL the directory is served at, e.g. 'https://example.com/'.",
+                demandOption: true,
+            })
+            .option("format", {
+                alias: "f",
+                choices: MANIFEST_FORMATS,
+                description:
+                    "Write a sidecar file next to each file, a '_headers' file for Netlify or Cloudflare Pages, or nginx location blocks.",
+                default: "sidecar",
+            })
+            .option("out", {
+                alias: "o",
+                type: "string",
+                description:
+                    "Directory to write sidecar files to, or file to write header rules to ('-' for standard output). Defaults to the build directory, '_headers' in it, or standard output for nginx.",
+            })
+            .option("indexFile", {
+                type: "string",
+                description:
+                    "Name of index files, also signed for the URL of their directory. Empty to disable.",
+                default: "index.html",
+            })
+            .option("signedHeaders", {
+                type: "string",
+                array: true,
+                description:
+                    "Response headers covered by the signature, in addition to the method, URL, status and content.",
+                default: ["content-type", "location", "set-cookie"],
+            })
+            .option("signInclude", {
+                type: "string",
+                array: true,
+                description:
+                    "Only sign files matching one of these rules, as for the proxy.",
+                default: [],
+            })
+            .option("signExclude", {
+                type: "string",
+                array: true,
+                description:
+                    "Mark files matching any of these rules as unsigned, as for the proxy.",
+                default: [],
+            })
+            .option("maxSignedSize", {
+                type: "number",
+                description:
+                    "Mark files larger than this many bytes as unsigned.",
+            })
+            .option("signatureValidity", {
+                type: "number",
+                description:
+                    "Number of seconds the signatures remain valid. Sign again and deploy before they expire.",
+                default: 2592000,
+            });
+    },
+    handler: async (args) => {
+        let baseUrl;
+
+        try {
+            baseUrl = new URL(args.baseUrl);
+        } catch (error) {
+            throw new Error(`Invalid base URL '${args.baseUrl}'`);
+        }
+
+        if (
+            !["http:", "https:"].includes(baseUrl.protocol) ||
+            baseUrl.search !== "" ||
+            baseUrl.hash !== ""
+        ) {
+            throw new Error(
+                `Invalid base URL '${args.baseUrl}': Expected an HTTP(S) URL without query or fragment`,
+            );
+        }
+
+        if (!fs.statSync(args.dir, { throwIfNoEntry: false })?.isDirectory()) {
+            throw new Error(`Invalid directory '${args.dir}': Not a directory`);
+        }
+
+        if (
+            !Number.isInteger(args.signatureValidity) ||
+            args.signatureValidity < 1
+        ) {
+            throw new Error(
+                `Invalid signature validity '${args.signatureValidity}': Must be a positive integer`,
+            );
+        }
+
+        if (
+            args.maxSignedSize !== undefined &&
+            (!Number.isInteger(args.maxSignedSize) || args.maxSignedSize < 0)
+        ) {
+            throw new Error(
+                `Invalid maximum signed size '${args.maxSignedSize}': Must not be negative`,
+            );
+        }
+
+        let shouldSign;
+        let signedHeaders;
+
+        try {
+            shouldSign = createSigningPolicy({
+                include: args.signInclude.map(parsePolicyRule),
+                exclude: args.signExclude.map(parsePolicyRule),
+                maxSize: args.maxSignedSize,
+            });
+        } catch (error) {
+            throw new Error(`Invalid signing policy: ${error.message}`);
+        }
+
+        try {
+            signedHeaders = parseSignedHeaders(args.signedHeaders);
+        } catch (error) {
+            throw new Error(`Invalid signed headers: ${error.message}`);
+        }
+
+        let { out } = args;
+
+        if (out === undefined) {
+            out = {
+                sidecar: args.dir,
+                headers: path.join(args.dir, "_headers"),
+                nginx: "-",
+            }[args.format];
+        }
+
+        const getPassphrase = createPassphraseSource();
+        const harcSigningKey = await loadSigner(args.signingKey, {
+            getPassphrase: () => {
+                return getPassphrase(args.passphraseFile);
+            },
+            timeout: args.signerTimeout,
+        }).catch((error) => {
+            throw new Error(
+                `Failed to load signing key '${args.signingKey}': ${error.message}`,
+            );
+        });
+
+        // Do not sign the header rules themselves, if written to the directory.
+        const outPath = path.relative(args.dir, out).split(path.sep).join("/");
+        const responses = await signDirectory(args.dir, {
+            baseUrl: baseUrl.href,
+            indexFile: args.indexFile,
+            harcSigningKey: harcSigningKey,
+            signedHeaders: signedHeaders,
+            validity: args.signatureValidity,
+            shouldSign: shouldSign,
+            exclude: args.format === "sidecar" ? [] : [outPath],
+        }).finally(() => {
+            harcSigningKey.close();
+        });
+
+        if (args.format === "sidecar") {
+            formatSidecars(responses).forEach((content, sidecarPath) => {
+                const filePath = path.join(out, sidecarPath);
+
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, content);
+            });
+        } else {
+            const content =
+                args.format === "headers"
+                    ? formatHeadersFile(responses)
+                    : formatNginxConfig(responses);
+
+            if (out === "-") {
+                process.stdout.write(content);
+            } else {
+                fs.writeFileSync(out, content);
+            }
+        }
+
+        const unsigned = responses.filter((response) => {
+            return !response.signed;
+        }).length;
+
+        prettyLog(
+            `Signed ${responses.length} responses (${unsigned} unsigned by policy) with key ${harcSigningKey.id}, valid for ${args.signatureValidity} seconds.`,
+        );
+    },
+};
+
+const verifyCommand = {
+    command: "verify <url>",
+    describe:
+        "Fetch a URL and verify its HARC signature as the browser extension does, exiting with a nonzero status on failure.",
+    builder: (parser) => {
+        return parser
+            .positional("url", {
+                type: "string",
+                description: "URL to verify.",
+            })
+            .option("method", {
+                alias: "X",
+                type: "string",
+                description: "Request method.",
+                default: "GET",
+            })
+            .option("range", {
+                alias: "r",
+                type: "string",
+                description:
+                    "Request a byte range of the content, e.g. 'bytes=0-99', and verify the partial response.",
+            })
+            .option("doh", {
+                type: "string",
+                description:
+                    "URL of the DNS-over-HTTPS server resolving the _arc TXT record.",
+                default: DEFAULT_DOH_RESOLVER,
+            })
+            .option("dns", {
+                type: "string",
+                description:
+                    "Address of a DNS server to resolve the _arc TXT record with instead, e.g. '127.0.0.1:5353'.",
+            })
+            .option("connectTo", {
+                type: "string",
+                description:
+                    "Connect to this 'host:port' instead of the host of the URL, e.g. to test a server before updating DNS.",
+            })
+            .option("clockSkew", {
+                type: "number",
+                description:
+                    "Tolerated clock skew when checking the validity period, in seconds.",
+                default: 60,
+            })
+            .option("timeout", {
+                type: "number",
+                description: "Timeout of each request, in milliseconds.",
+                default: 10000,
+            })
+            .option("requireSigned", {
+                boolean: true,
+                description: "Fail if the response is unsigned by policy.",
+            });
+    },
+    handler: async (args) => {
+        try {
+            if (!["http:", "https:"].includes(new URL(args.url).protocol)) {
+                throw new Error();
+            }
+        } catch (error) {
+            throw new Error(`Invalid URL '${args.url}'`);
+        }
+
+        [
+            ["clockSkew", "clock skew", 0],
+            ["timeout", "timeout", 1],
+        ].forEach(([name, label, min]) => {
+            if (!Number.isInteger(args[name]) || args[name] < min) {
+                throw new Error(
+                    `Invalid ${label} '${args[name]}': Must be an integer of at least ${min}`,
+                );
+            }
+        });
+
+        const result = await verifyUrl(
+            args.url,
+            {
+                method: args.method.toUpperCase(),
+                range: args.range,
+                connectTo: args.connectTo,
+                resolver: {
+                    doh: args.doh,
+                    server: args.dns,
+                    timeout: args.timeout,
+                },
+                clockSkew: args.clockSkew,
+                timeout: args.timeout,
+            },
+            (passed, message) => {
+                console.log(`[${VERIFY_STEP_LABELS.get(passed)}] ${message}`);
+            },
+        );
+
+        console.log(`Result: ${result}`);
+
+        if (
+            result !== "trusted" &&
+            (result !== "unsigned-by-policy" || args.requireSigned)
+        ) {
+            process.exitCode = 1;
+        }
+    },
+};
+
+const verifyLogCommand = {
+    command: "verify-log <treeHead>",
+    describe:
+        "Verify a signed tree head of a transparency log, and optionally an inclusion or consistency proof against it, exiting with a nonzero status on failure.",
+    builder: (parser) => {
+        return parser
+            .positional("treeHead", {
+                type: "string",
+                description:
+                    "Path to the signed tree head, as served at '/log/sth'.",
+            })
+            .option("key", {
+                alias: "k",
+                array: true,
+                type: "string",
+                description:
+                    "Paths to the PEM-encoded public or private keys the tree head may be signed with.",
+                demandOption: true,
+            })
+            .option("passphraseFile", {
+                type: "string",
+                description:
+                    "Path to a file containing the passphrase of encrypted keys.",
+            })
+            .option("inclusion", {
+                type: "string",
+                description:
+                    "Path to an inclusion proof, as served at '/log/proof/inclusion', to verify against the tree head.",
+            })
+            .option("consistency", {
+                type: "string",
+                description:
+                    "Path to a consistency proof, as served at '/log/proof/consistency', from --oldTreeHead to the tree head.",
+                implies: "oldTreeHead",
+            })
+            .option("oldTreeHead", {
+                type: "string",
+                description:
+                    "Path to an earlier signed tree head, which the tree head must be consistent with.",
+                implies: "consistency",
+            });
+    },
+    handler: async (args) => {
+        const getPassphrase = createPassphraseSource();
+        const publicKeys = [];
+        let failed = false;
+
+        const report = (passed, message) => {
+            console.log(`[${VERIFY_STEP_LABELS.get(passed)}] ${message}`);
+            failed = failed || passed === false;
+        };
+
+        // eslint-disable-next-line no-restricted-syntax
+        for (const keyFilePath of args.key) {
+            // eslint-disable-next-line no-await-in-loop
+            const publicKey = await loadPublicKey(keyFilePath, () => {
+                return getPassphrase(args.passphraseFile);
+            });
+
+            publicKeys.push(publicKey);
+        }
+
+        const checkTreeHead = async (treeHead, label) => {
+            await verifyTreeHead(treeHead, publicKeys).then(
+                () => {
+                    report(
+                        true,
+                        `Signature of ${label} (size ${treeHead.treeSize}, Key ID: ${treeHead.keyId})`,
+                    );
+                },
+                (error) => {
+                    report(false, `Signature of ${label}: ${error.message}`);
+                },
+            );
+        };
+
+        const treeHead = readJsonFile(args.treeHead, "tree head");
+
+        await checkTreeHead(treeHead, "tree head");
+        report(
+            null,
+            `Tree head signed at ${new Date(
+                treeHead.timestamp * 1000,
+            ).toISOString()}`,
+        );
+
+        if (args.inclusion !== undefined) {
+            const proof = readJsonFile(args.inclusion, "inclusion proof");
+
+            if (proof.treeSize !== treeHead.treeSize) {
+                report(
+                    false,
+                    `Inclusion proof is for tree size ${proof.treeSize}, not ${treeHead.treeSize}`,
+                );
+            } else {
+                let included = false;
+
+                try {
+                    included = verifyInclusion(
+                        proof.entry,
+                        proof.index,
+                        proof.treeSize,
+                        proof.auditPath,
+                        treeHead.rootHash,
+                    );
+                } catch (error) {
+                    // Treat a malformed proof or entry as not included.
+                }
+
+                report(
+                    included,
+                    `Entry ${proof.index} included in the tree (${proof.entry?.url})`,
+                );
+            }
+        }
+
+        if (args.consistency !== undefined) {
+            const oldTreeHead = readJsonFile(args.oldTreeHead, "tree head");
+            const proof = readJsonFile(args.consistency, "consistency proof");
+
+            await checkTreeHead(oldTreeHead, "old tree head");
+
+            if (
+                proof.first !== oldTreeHead.treeSize ||
+                proof.second !== treeHead.treeSize
+            ) {
+                report(
+                    false,
+                    `Consistency proof is for tree sizes ${proof.first} and ${proof.second}, not ${oldTreeHead.treeSize} and ${treeHead.treeSize}`,
+                );
+            } else {
+                let consistent = false;
+
+                try {
+                    consistent = verifyConsistency(
+                        proof.first,
+                        proof.second,
+                        proof.consistency,
+                        oldTreeHead.rootHash,
+                        treeHead.rootHash,
+                    );
+                } catch (error) {
+                    // Treat a malformed proof as inconsistent.
+                }
+
+                report(
+                    consistent,
+                    `Tree of size ${proof.first} is a prefix of the tree of size ${proof.second}`,
+                );
+            }
+        }
+
+        if (failed) {
+            process.exitCode = 1;
+        }
+    },
+};
+
+const signerCommand = {
+    command: "signer <key>",
+    describe:
+        "Run a reference external signer, holding a signing key in a separate process and signing for the server over a Unix socket.",
+    builder: (parser) => {
+        return parser
+            .positional("key", {
+                type: "string",
+                description: "Path to HARC signing key.",
+            })
+            .option("socket", {
+                alias: "s",
+                type: "string",
+                description: "Path to the Unix socket to listen on.",
+                demandOption: true,
+            })
+            .option("socketMode", {
+                type: "string",
+                description:
+                    "File mode of the socket, in octal. Grant access to the server user only, e.g. '660' with a group shared with it.",
+                default: "600",
+            })
+            .option("passphraseFile", {
+                type: "string",
+                description:
+                    "Path to a file containing the passphrase of an encrypted key.",
+            });
+    },
+    handler: async (args) => {
+        if (!/^[0-7]{3,4}$/.test(args.socketMode)) {
+            throw new Error(
+                `Invalid socket mode '${args.socketMode}': Must be an octal file mode`,
+            );
+        }
+
+        const getPassphrase = createPassphraseSource();
+        const signer = await loadSigner(args.key, {
+            getPassphrase: () => {
+                return getPassphrase(args.passphraseFile);
+            },
+        }).catch((error) => {
+            throw new Error(
+                `Failed to load signing key '${args.key}': ${error.message}`,
+            );
+        });
+
+        if (signer.backend !== "key") {
+            throw new Error(
+                `Failed to load signing key '${args.key}': Not a key file`,
+            );
+        }
+
+        const server = await serveSigner(
+            signer,
+            args.socket,
+            parseInt(args.socketMode, 8),
+            prettyLog,
+        ).catch((error) => {
+            throw new Error(
+                `Failed to listen on '${args.socket}': ${error.message}`,
+            );
+        });
+
+        prettyLog(
+            `HARC signer listening on: ${args.socket} (${signer.algorithm}, Key ID: ${signer.id})`,
+        );
+
+        ["SIGINT", "SIGTERM"].forEach((signal) => {
+            process.once(signal, () => {
+                prettyLog("Stopping signer...", "warn");
+                server.close();
+                fs.rmSync(args.socket, { force: true });
+                process.exit(0);
+            });
+        });
+    },
+};
+
+const COMMANDS = [
+    keygenCommand,
+    pubkeyCommand,
+    dnsRecordCommand,
+    publishDnsCommand,
+    signDirCommand,
+    verifyCommand,
+    verifyLogCommand,
+    signerCommand,
+];
+
+// Names of the subcommands, as the first command line argument.
+const COMMAND_NAMES = COMMANDS.map((command) => {
+    return command.command.split(" ")[0];
+});
+
+/**
+ * Runs a subcommand, exiting with a nonzero status on failure.
+ *
+ * @function  runCommand
+ * @param     {Array}  argv  The command line arguments.
+ */
+const runCommand = (argv) => {
+    const parser = yargs(argv)
+        .usage("HTTP Authenticated Response Content (HARC) Signing Server.")
+        .command(COMMANDS)
+        .demandCommand(1)
+        .help()
+        .alias("h", "help")
+        .strict()
+        .fail((message, error) => {
+            if (error) {
+                throw error;
+            }
+
+            parser.showHelp();
+            console.error(`\n${message}`);
+            process.exit(1);
+        });
+
+    parser.parseAsync().catch((error) => {
+        prettyLog(error.message, "error");
+        process.exit(1);
+    });
+};
+
+module.exports = { COMMAND_NAMES, COMMANDS, runCommand };
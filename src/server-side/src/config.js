@@ -0,0 +1,68 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC configuration file.
+ *
+ * The configuration file is a YAML or JSON object whose keys are the long
+ * names of the command line options, for example:
+ *
+ *     upstream: http://127.0.0.1:8080
+ *     signingKey:
+ *       - /etc/harc/a.pem
+ *     route:
+ *       - host: b.example
+ *         upstream: http://10.0.0.3
+ *         key: /etc/harc/b.pem
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+/**
+ * Reads a configuration file. Files with the ".yaml" or ".yml" extension are
+ * parsed as YAML, and all other files as JSON.
+ *
+ * @function  readConfigFile
+ * @param     {String}  configPath  The path to the configuration file.
+ * @returns   {Object}              The configuration.
+ * @throws    {Error}               If the file cannot be read or is invalid.
+ */
+const readConfigFile = (configPath) => {
+    let config;
+
+    try {
+        const content = fs.readFileSync(configPath, "utf-8");
+
+        config = [".yaml", ".yml"].includes(
+            path.extname(configPath).toLowerCase(),
+        )
+            ? YAML.parse(content)
+            : JSON.parse(content);
+    } catch (error) {
+        throw new Error(
+            `Invalid configuration file '${configPath}': ${error.message}`,
+        );
+    }
+
+    if (
+        config === null ||
+        typeof config !== "object" ||
+        Array.isArray(config)
+    ) {
+        throw new Error(
+            `Invalid configuration file '${configPath}': Expected an object`,
+        );
+    }
+
+    return config;
+};
+
+module.exports = { readConfigFile };
@@ -0,0 +1,993 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC DNS records.
+ *
+ * Public keys are published in "_arc" TXT records, in the format
+ * "action; algorithm; publicKey". The browser extension looks up the record
+ * of a host under its registrable domain, e.g. "www._arc.example.com" for
+ * "www.example.com", and "_arc.example.com" for "example.com".
+ *
+ * Records are resolved using DNS-over-HTTPS (RFC 8484) as the browser
+ * extension does, or using a DNS server. They are published using dynamic
+ * updates (RFC 2136) sent to an authoritative server over TCP, authenticated
+ * using a TSIG key (RFC 8945).
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const psl = require("psl");
+const {
+    DEFAULT_SIGNATURE_ALGORITHM,
+    normalizeSignatureAlgorithm,
+} = require("./algorithms");
+
+const HARC_DNS_SUBDOMAIN = "_arc";
+const HARC_VALID_ACTIONS = ["enforce", "warn"];
+
+// DNS-over-HTTPS server used by default, as in the browser extension.
+const DEFAULT_DOH_RESOLVER = "https://mozilla.cloudflare-dns.com/dns-query";
+
+// Maximum length of each character string of a TXT record.
+const TXT_STRING_MAX_LENGTH = 255;
+
+const DNS_PORT = 53;
+const DNS_CLASS_ANY = 255;
+const DNS_CLASS_IN = 1;
+const DNS_FLAG_OPCODE_UPDATE = 0x2800;
+const DNS_FLAG_RD = 0x0100;
+const DNS_HEADER_LENGTH = 12;
+const DNS_RCODE_NXDOMAIN = 3;
+const DNS_TYPE_SOA = 6;
+const DNS_TYPE_TSIG = 250;
+const DNS_TYPE_TXT = 16;
+
+// Names of the response codes of failed updates, including TSIG errors.
+const DNS_RCODE_NAMES = new Map([
+    [1, "FORMERR"],
+    [2, "SERVFAIL"],
+    [3, "NXDOMAIN"],
+    [4, "NOTIMP"],
+    [5, "REFUSED"],
+    [6, "YXDOMAIN"],
+    [7, "YXRRSET"],
+    [8, "NXRRSET"],
+    [9, "NOTAUTH"],
+    [10, "NOTZONE"],
+    [16, "BADSIG"],
+    [17, "BADKEY"],
+    [18, "BADTIME"],
+    [22, "BADTRUNC"],
+]);
+
+// HMAC digest algorithms of TSIG keys, by TSIG algorithm name.
+const TSIG_ALGORITHMS = new Map([
+    ["hmac-sha256", "sha256"],
+    ["hmac-sha384", "sha384"],
+    ["hmac-sha512", "sha512"],
+]);
+
+// Difference allowed between the clocks of the client and the server, in
+// seconds.
+const TSIG_FUDGE = 300;
+
+/**
+ * Determines the name of the TXT record of a host.
+ *
+ * @function  getRecordName
+ * @param     {String}  domain     The registrable domain, e.g. "example.com".
+ * @param     {String}  subdomain  The subdomain of the host, e.g. "www", if any.
+ * @returns   {String}             The fully qualified record name.
+ */
+const getRecordName = (domain, subdomain) => {
+    const name = `${HARC_DNS_SUBDOMAIN}.${domain.replace(/\.$/, "")}.`;
+
+    return subdomain === undefined || subdomain === ""
+        ? name
+        : `${subdomain}.${name}`;
+};
+
+/**
+ * Formats the value of a TXT record publishing a public key.
+ *
+ * @function  formatRecordValue
+ * @param     {String}  action        The action on failure, "enforce" or "warn".
+ * @param     {String}  algorithm     The signature algorithm of the key.
+ * @param     {Buffer}  publicKeyDer  The DER-encoded public key.
+ * @returns   {String}                The record value.
+ */
+const formatRecordValue = (action, algorithm, publicKeyDer) => {
+    return `${action}; ${algorithm}; ${publicKeyDer.toString("base64")}`;
+};
+
+/**
+ * Splits a TXT record value into quoted character strings, as long values
+ * such as RSA public keys exceed the maximum length of a single string.
+ * Resolvers concatenate the strings of a record.
+ *
+ * @function  splitRecordValue
+ * @param     {String}  value  The record value.
+ * @returns   {String}         The quoted character strings.
+ */
+const splitRecordValue = (value) => {
+    const strings = [];
+
+    for (let i = 0; i < value.length; i += TXT_STRING_MAX_LENGTH) {
+        strings.push(`"${value.substring(i, i + TXT_STRING_MAX_LENGTH)}"`);
+    }
+
+    return strings.join(" ");
+};
+
+/**
+ * Formats a TXT record as a zone file line.
+ *
+ * @function  formatZoneRecord
+ * @param     {String}  name   The fully qualified record name.
+ * @param     {int}     ttl    The time to live, in seconds.
+ * @param     {String}  value  The record value.
+ * @returns   {String}         The zone file line.
+ */
+const formatZoneRecord = (name, ttl, value) => {
+    return `${name} ${ttl} IN TXT ${splitRecordValue(value)}`;
+};
+
+/**
+ * Determines the name of the TXT record of a host, as the browser extension
+ * does, using the Public Suffix List.
+ *
+ * @function  getLookupName
+ * @param     {String}  hostname  The hostname.
+ * @returns   {String}            The record name, or null if the host has no
+ *                                registrable domain.
+ */
+const getLookupName = (hostname) => {
+    const { domain, subdomain } = psl.parse(hostname.replace(/\.$/, ""));
+
+    if (domain === null || !psl.isValid(hostname.replace(/\.$/, ""))) {
+        return null;
+    }
+
+    return getRecordName(domain, subdomain ?? undefined).replace(/\.$/, "");
+};
+
+/**
+ * Parses a HARC TXT record, as the browser extension does.
+ * Valid formats: "publicKey", "action; publicKey" and
+ * "action; algorithm; publicKey". The action defaults to "warn", and the
+ * algorithm to "ECDSA_P-256; SHA-256".
+ *
+ * @function  parseRecordValue
+ * @param     {String}  value  The record value.
+ * @returns   {Object}         The action, algorithm and Base64-encoded
+ *                             public key, or null if the record is invalid.
+ */
+const parseRecordValue = (value) => {
+    const payload = value.split(";");
+
+    if (payload.length === 1) {
+        return {
+            action: "warn",
+            algorithm: DEFAULT_SIGNATURE_ALGORITHM,
+            publicKey: payload[0].trim(),
+        };
+    }
+
+    // The algorithm name may itself contain ";", e.g. "ECDSA_P-384; SHA-384".
+    const action = payload[0].trim().toLowerCase();
+    const algorithm =
+        payload.length === 2
+            ? DEFAULT_SIGNATURE_ALGORITHM
+            : normalizeSignatureAlgorithm(payload.slice(1, -1).join(";"));
+
+    if (!HARC_VALID_ACTIONS.includes(action) || algorithm === null) {
+        return null;
+    }
+
+    return {
+        action: action,
+        algorithm: algorithm,
+        publicKey: payload[payload.length - 1].trim(),
+    };
+};
+
+/**
+ * Encodes a domain name in DNS wire format.
+ *
+ * @function  encodeName
+ * @param     {String}  name  The domain name.
+ * @returns   {Buffer}        The encoded name.
+ */
+const encodeName = (name) => {
+    const labels = name
+        .replace(/\.$/, "")
+        .split(".")
+        .filter((label) => {
+            return label !== "";
+        })
+        .map((label) => {
+            const bytes = Buffer.from(label, "utf-8");
+
+            if (bytes.length > 63) {
+                throw new Error(`Invalid domain name '${name}'`);
+            }
+
+            return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+        });
+
+    return Buffer.concat([...labels, Buffer.from([0])]);
+};
+
+/**
+ * Decodes a domain name in DNS wire format, following compression pointers.
+ *
+ * @function  decodeName
+ * @param     {Buffer}  message  The DNS message.
+ * @param     {int}     offset   The offset of the name.
+ * @returns   {Object}           The name, and the offset following it.
+ * @throws    {Error}            If the name is malformed.
+ */
+const decodeName = (message, offset) => {
+    const labels = [];
+    let position = offset;
+    let end = null;
+
+    // Bound the number of labels, as pointers may form a loop.
+    for (let i = 0; i < 128; i++) {
+        const length = message.readUInt8(position);
+
+        if (length === 0) {
+            return { name: labels.join("."), offset: end ?? position + 1 };
+        }
+
+        if (length >= 0xc0) {
+            // Compression pointer to the remainder of the name.
+            end = end ?? position + 2;
+            position = message.readUInt16BE(position) - 0xc000;
+        } else {
+            labels.push(
+                message.toString("utf-8", position + 1, position + 1 + length),
+            );
+            position += 1 + length;
+        }
+    }
+
+    throw new Error("Malformed DNS message: Name too long");
+};
+
+/**
+ * Encodes a DNS query for the TXT records of a name.
+ *
+ * @function  encodeTxtQuery
+ * @param     {String}  name  The record name.
+ * @returns   {Buffer}        The DNS message.
+ */
+const encodeTxtQuery = (name) => {
+    const header = Buffer.alloc(DNS_HEADER_LENGTH);
+    const question = Buffer.alloc(4);
+
+    // The ID is zero, as recommended for DNS-over-HTTPS.
+    header.writeUInt16BE(DNS_FLAG_RD, 2);
+    header.writeUInt16BE(1, 4);
+    question.writeUInt16BE(DNS_TYPE_TXT, 0);
+    question.writeUInt16BE(DNS_CLASS_IN, 2);
+
+    return Buffer.concat([header, encodeName(name), question]);
+};
+
+/**
+ * Decodes the TXT records of a DNS response.
+ *
+ * @function  decodeTxtResponse
+ * @param     {Buffer}  message  The DNS message.
+ * @returns   {Object}           The response code, and the character strings
+ *                               of each TXT record.
+ * @throws    {Error}            If the message is malformed.
+ */
+const decodeTxtResponse = (message) => {
+    try {
+        const rcode = message.readUInt8(3) % 16;
+        const questions = message.readUInt16BE(4);
+        const answers = message.readUInt16BE(6);
+        const records = [];
+        let offset = DNS_HEADER_LENGTH;
+
+        for (let i = 0; i < questions; i++) {
+            offset = decodeName(message, offset).offset + 4;
+        }
+
+        for (let i = 0; i < answers; i++) {
+            offset = decodeName(message, offset).offset;
+
+            const type = message.readUInt16BE(offset);
+            const length = message.readUInt16BE(offset + 8);
+            const end = offset + 10 + length;
+
+            if (end > message.length) {
+                throw new RangeError("Record out of range");
+            }
+
+            if (type === DNS_TYPE_TXT) {
+                const strings = [];
+
+                for (let p = offset + 10; p < end; ) {
+                    const stringLength = message.readUInt8(p);
+
+                    strings.push(
+                        message.toString("utf-8", p + 1, p + 1 + stringLength),
+                    );
+                    p += 1 + stringLength;
+                }
+
+                records.push(strings);
+            }
+
+            offset = end;
+        }
+
+        return { rcode: rcode, records: records };
+    } catch (error) {
+        throw new Error(`Malformed DNS message: ${error.message}`);
+    }
+};
+
+/**
+ * Sends a DNS query to a DNS-over-HTTPS server (RFC 8484), using POST.
+ *
+ * @function  queryDoh
+ * @param     {String}  doh      The URL of the DNS-over-HTTPS server.
+ * @param     {Buffer}  query    The DNS query message.
+ * @param     {int}     timeout  The timeout, in milliseconds.
+ * @returns   {Promise}          Resolves to the DNS response message.
+ */
+const queryDoh = (doh, query, timeout) => {
+    const url = new URL(doh);
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === "http:" ? http : https).request(
+            url,
+            {
+                method: "POST",
+                headers: {
+                    accept: "application/dns-message",
+                    "content-type": "application/dns-message",
+                    "content-length": query.length,
+                },
+            },
+            (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`HTTP ${response.statusCode}`));
+                    return;
+                }
+
+                const chunks = [];
+
+                response.on("data", (chunk) => {
+                    chunks.push(chunk);
+                });
+                response.on("error", reject);
+                response.on("end", () => {
+                    resolve(Buffer.concat(chunks));
+                });
+            },
+        );
+
+        request.setTimeout(timeout, () => {
+            request.destroy(new Error(`Timed out after ${timeout} ms`));
+        });
+        request.on("error", reject);
+        request.end(query);
+    });
+};
+
+/**
+ * Resolves the TXT records of a name. Long records are split into several
+ * character strings, which are concatenated.
+ *
+ * @async
+ * @function  resolveTxt
+ * @param     {String}  name              The record name.
+ * @param     {Object}  resolver          The resolver.
+ * @param     {String}  resolver.doh      The URL of a DNS-over-HTTPS server.
+ * @param     {String}  resolver.server   The address of a DNS server, used
+ *                                        instead if given, e.g. "127.0.0.1:5353".
+ * @param     {int}     resolver.timeout  The timeout, in milliseconds.
+ * @returns   {Array}                     The record values. Empty if the name
+ *                                        does not exist.
+ * @throws    {Error}                     If the name cannot be resolved.
+ */
+const resolveTxt = async (name, { doh, server, timeout }) => {
+    if (server !== undefined) {
+        const resolver = new dns.promises.Resolver({
+            timeout: timeout,
+            tries: 1,
+        });
+
+        resolver.setServers([server]);
+
+        try {
+            return (await resolver.resolveTxt(name)).map((strings) => {
+                return strings.join("");
+            });
+        } catch (error) {
+            if ([dns.NODATA, dns.NOTFOUND].includes(error.code)) {
+                return [];
+            }
+
+            throw new Error(`DNS query to '${server}' failed: ${error.code}`);
+        }
+    }
+
+    let response;
+
+    try {
+        response = await queryDoh(doh, encodeTxtQuery(name), timeout);
+    } catch (error) {
+        throw new Error(
+            `DNS-over-HTTPS query to '${doh}' failed: ${error.message}`,
+        );
+    }
+
+    const { rcode, records } = decodeTxtResponse(response);
+
+    if (rcode === DNS_RCODE_NXDOMAIN) {
+        return [];
+    }
+
+    if (rcode !== 0) {
+        throw new Error(
+            `DNS-over-HTTPS query to '${doh}' failed: Response code ${rcode}`,
+        );
+    }
+
+    return records.map((strings) => {
+        return strings.join("");
+    });
+};
+
+/**
+ * Parses the address of a DNS server.
+ *
+ * @function  parseServerAddress
+ * @param     {String}  address  The address, e.g. "ns1.example.com",
+ *                               "192.0.2.1:5353" or "[2001:db8::1]:53".
+ * @returns   {Object}           The host and port.
+ * @throws    {Error}            If the address is invalid.
+ */
+const parseServerAddress = (address) => {
+    if (net.isIPv6(address)) {
+        return { host: address, port: DNS_PORT };
+    }
+
+    const match = /^(?:\[([^\]]+)\]|([^:[\]]+))(?::(\d{1,5}))?$/.exec(address);
+    const port = match?.[3] === undefined ? DNS_PORT : Number(match[3]);
+
+    if (match === null || port < 1 || port > 65535) {
+        throw new Error(`Invalid DNS server address '${address}'`);
+    }
+
+    return { host: match[1] ?? match[2], port: port };
+};
+
+/**
+ * Resolves the address of a DNS server to an IP address, as required to
+ * query it using resolveTxt.
+ *
+ * @async
+ * @function  lookupServerAddress
+ * @param     {String}  address  The address, as accepted by parseServerAddress.
+ * @returns   {String}           The IP address and port, e.g. "192.0.2.1:53".
+ * @throws    {Error}            If the address is invalid or cannot be resolved.
+ */
+const lookupServerAddress = async (address) => {
+    const { host, port } = parseServerAddress(address);
+    let ip;
+
+    try {
+        ip = (await dns.promises.lookup(host)).address;
+    } catch (error) {
+        throw new Error(
+            `Failed to resolve DNS server '${address}': ${error.code}`,
+        );
+    }
+
+    return net.isIPv6(ip) ? `[${ip}]:${port}` : `${ip}:${port}`;
+};
+
+/**
+ * Parses a TSIG key, either in the format of BIND key files, as generated by
+ * "tsig-keygen", or in the format "algorithm:name:secret" of "nsupdate -y",
+ * as printed by "keymgr -t" of Knot DNS.
+ *
+ * @function  parseTsigKey
+ * @param     {String}  content  The key.
+ * @returns   {Object}           The name, algorithm and secret of the key.
+ * @throws    {Error}            If the key is invalid.
+ */
+const parseTsigKey = (content) => {
+    const block = /key\s+"?([^\s"{]+)"?\s*\{([^}]*)\}/.exec(content);
+    let fields = content.trim().split(":");
+
+    if (block !== null) {
+        fields = [
+            /algorithm\s+"?([^\s";]+)"?\s*;/.exec(block[2])?.[1],
+            block[1],
+            /secret\s+"([^"]+)"\s*;/.exec(block[2])?.[1],
+        ];
+    }
+
+    const [algorithm, name, secret] = fields;
+
+    if (
+        fields.length !== 3 ||
+        fields.some((field) => {
+            return field === undefined || field === "";
+        })
+    ) {
+        throw new Error("Expected a BIND key file, or 'algorithm:name:secret'");
+    }
+
+    const algorithmName = algorithm.toLowerCase().replace(/\.$/, "");
+
+    if (!TSIG_ALGORITHMS.has(algorithmName)) {
+        throw new Error(
+            `Unsupported algorithm '${algorithm}': Expected one of ${[
+                ...TSIG_ALGORITHMS.keys(),
+            ].join(", ")}`,
+        );
+    }
+
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(secret)) {
+        throw new Error("Invalid secret: Expected Base64");
+    }
+
+    // Names are covered by the MAC in canonical form, in lower case.
+    return {
+        name: name.toLowerCase().replace(/\.$/, ""),
+        algorithm: algorithmName,
+        secret: Buffer.from(secret, "base64"),
+    };
+};
+
+/**
+ * Encodes a resource record in DNS wire format.
+ *
+ * @function  encodeRecord
+ * @param     {String}  name         The owner name.
+ * @param     {int}     type         The record type.
+ * @param     {int}     recordClass  The record class.
+ * @param     {int}     ttl          The time to live, in seconds.
+ * @param     {Buffer}  data         The record data.
+ * @returns   {Buffer}               The encoded record.
+ */
+const encodeRecord = (name, type, recordClass, ttl, data) => {
+    const fields = Buffer.alloc(10);
+
+    fields.writeUInt16BE(type, 0);
+    fields.writeUInt16BE(recordClass, 2);
+    fields.writeUInt32BE(ttl, 4);
+    fields.writeUInt16BE(data.length, 8);
+
+    return Buffer.concat([encodeName(name), fields, data]);
+};
+
+/**
+ * Encodes the data of a TXT record, split into character strings of the
+ * maximum length.
+ *
+ * @function  encodeTxtData
+ * @param     {String}  value  The record value.
+ * @returns   {Buffer}         The record data.
+ */
+const encodeTxtData = (value) => {
+    const bytes = Buffer.from(value, "utf-8");
+    const strings = [];
+
+    for (let i = 0; i < bytes.length; i += TXT_STRING_MAX_LENGTH) {
+        const string = bytes.subarray(i, i + TXT_STRING_MAX_LENGTH);
+
+        strings.push(Buffer.from([string.length]), string);
+    }
+
+    return Buffer.concat(strings);
+};
+
+/**
+ * Encodes a dynamic update replacing the TXT records of names in a zone.
+ *
+ * @function  encodeTxtUpdate
+ * @param     {int}     id       The message ID.
+ * @param     {String}  zone     The zone name.
+ * @param     {Map}     records  The values of the TXT records, by name.
+ * @param     {int}     ttl      The time to live of the records, in seconds.
+ * @returns   {Buffer}           The DNS message.
+ */
+const encodeTxtUpdate = (id, zone, records, ttl) => {
+    const header = Buffer.alloc(DNS_HEADER_LENGTH);
+    const zoneFields = Buffer.alloc(4);
+    const updates = [];
+
+    records.forEach((values, name) => {
+        // Delete all TXT records of the name, then add the new ones.
+        updates.push(
+            encodeRecord(name, DNS_TYPE_TXT, DNS_CLASS_ANY, 0, Buffer.alloc(0)),
+        );
+        values.forEach((value) => {
+            updates.push(
+                encodeRecord(
+                    name,
+                    DNS_TYPE_TXT,
+                    DNS_CLASS_IN,
+                    ttl,
+                    encodeTxtData(value),
+                ),
+            );
+        });
+    });
+
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(DNS_FLAG_OPCODE_UPDATE, 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(updates.length, 8);
+    zoneFields.writeUInt16BE(DNS_TYPE_SOA, 0);
+    zoneFields.writeUInt16BE(DNS_CLASS_IN, 2);
+
+    return Buffer.concat([header, encodeName(zone), zoneFields, ...updates]);
+};
+
+/**
+ * Computes the MAC of a TSIG record, over the given data followed by the
+ * variables of the record.
+ *
+ * @function  computeTsigMac
+ * @param     {Object}  key   The TSIG key, as returned by parseTsigKey.
+ * @param     {Array}   data  The buffers covered by the MAC.
+ * @param     {Object}  tsig  The time signed, fudge, error and other data
+ *                            of the record.
+ * @returns   {Buffer}        The MAC.
+ */
+const computeTsigMac = (key, data, tsig) => {
+    const classFields = Buffer.alloc(6);
+    const fields = Buffer.alloc(12);
+
+    classFields.writeUInt16BE(DNS_CLASS_ANY, 0);
+    fields.writeUIntBE(tsig.timeSigned, 0, 6);
+    fields.writeUInt16BE(tsig.fudge, 6);
+    fields.writeUInt16BE(tsig.error, 8);
+    fields.writeUInt16BE(tsig.otherData.length, 10);
+
+    return crypto
+        .createHmac(TSIG_ALGORITHMS.get(key.algorithm), key.secret)
+        .update(
+            Buffer.concat([
+                ...data,
+                encodeName(key.name),
+                classFields,
+                encodeName(key.algorithm),
+                fields,
+                tsig.otherData,
+            ]),
+        )
+        .digest();
+};
+
+/**
+ * Signs a DNS message, appending a TSIG record.
+ *
+ * @function  signMessage
+ * @param     {Buffer}  message  The DNS message.
+ * @param     {Object}  key      The TSIG key, as returned by parseTsigKey.
+ * @returns   {Object}           The signed message, and its MAC.
+ */
+const signMessage = (message, key) => {
+    const tsig = {
+        timeSigned: Math.floor(Date.now() / 1000),
+        fudge: TSIG_FUDGE,
+        error: 0,
+        otherData: Buffer.alloc(0),
+    };
+    const mac = computeTsigMac(key, [message], tsig);
+    const timers = Buffer.alloc(10);
+    const trailer = Buffer.alloc(6);
+
+    timers.writeUIntBE(tsig.timeSigned, 0, 6);
+    timers.writeUInt16BE(tsig.fudge, 6);
+    timers.writeUInt16BE(mac.length, 8);
+    trailer.writeUInt16BE(message.readUInt16BE(0), 0);
+
+    const signed = Buffer.concat([
+        message,
+        encodeRecord(
+            key.name,
+            DNS_TYPE_TSIG,
+            DNS_CLASS_ANY,
+            0,
+            Buffer.concat([encodeName(key.algorithm), timers, mac, trailer]),
+        ),
+    ]);
+
+    signed.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+
+    return { message: signed, mac: mac };
+};
+
+/**
+ * Describes a response code or TSIG error.
+ *
+ * @function  describeRcode
+ * @param     {int}     rcode  The response code or TSIG error.
+ * @returns   {String}         Its name.
+ */
+const describeRcode = (rcode) => {
+    return DNS_RCODE_NAMES.get(rcode) ?? `Response code ${rcode}`;
+};
+
+/**
+ * Checks the response to a signed dynamic update, verifying its TSIG record.
+ *
+ * @function  checkUpdateResponse
+ * @param     {Buffer}  response  The DNS message of the response.
+ * @param     {Buffer}  request   The DNS message of the signed update.
+ * @param     {Buffer}  mac       The MAC of the update.
+ * @param     {Object}  key       The TSIG key, as returned by parseTsigKey.
+ * @throws    {Error}             If the update failed, or the response is
+ *                                invalid or not signed by the key.
+ */
+const checkUpdateResponse = (response, request, mac, key) => {
+    let rcode;
+    let tsig = null;
+
+    try {
+        const counts = [4, 6, 8, 10].map((offset) => {
+            return response.readUInt16BE(offset);
+        });
+        let offset = DNS_HEADER_LENGTH;
+
+        if (response.readUInt16BE(0) !== request.readUInt16BE(0)) {
+            throw new RangeError("Unexpected message ID");
+        }
+
+        rcode = response.readUInt8(3) % 16;
+
+        for (let i = 0; i < counts[0]; i++) {
+            offset = decodeName(response, offset).offset + 4;
+        }
+
+        for (let i = counts[1] + counts[2] + counts[3]; i > 0; i--) {
+            const start = offset;
+
+            offset = decodeName(response, offset).offset;
+
+            const type = response.readUInt16BE(offset);
+            const end = offset + 10 + response.readUInt16BE(offset + 8);
+
+            if (end > response.length) {
+                throw new RangeError("Record out of range");
+            }
+
+            // The TSIG record must be the last additional record.
+            if (i === 1 && counts[3] !== 0 && type === DNS_TYPE_TSIG) {
+                const p = decodeName(response, offset + 10).offset;
+                const macEnd = p + 10 + response.readUInt16BE(p + 8);
+
+                tsig = {
+                    start: start,
+                    timeSigned: response.readUIntBE(p, 6),
+                    fudge: response.readUInt16BE(p + 6),
+                    mac: response.subarray(p + 10, macEnd),
+                    originalId: response.readUInt16BE(macEnd),
+                    error: response.readUInt16BE(macEnd + 2),
+                    otherData: response.subarray(
+                        macEnd + 6,
+                        macEnd + 6 + response.readUInt16BE(macEnd + 4),
+                    ),
+                };
+            }
+
+            offset = end;
+        }
+    } catch (error) {
+        throw new Error(`Malformed DNS message: ${error.message}`);
+    }
+
+    if (tsig === null) {
+        throw new Error(
+            rcode === 0
+                ? "Response not signed by the TSIG key"
+                : describeRcode(rcode),
+        );
+    }
+
+    if (tsig.error !== 0) {
+        throw new Error(
+            `${describeRcode(rcode)} (${describeRcode(tsig.error)})`,
+        );
+    }
+
+    // The MAC covers the MAC of the update, and the response without its
+    // TSIG record and with its original ID.
+    const unsigned = Buffer.from(response.subarray(0, tsig.start));
+    const macLength = Buffer.alloc(2);
+
+    unsigned.writeUInt16BE(tsig.originalId, 0);
+    unsigned.writeUInt16BE(unsigned.readUInt16BE(10) - 1, 10);
+    macLength.writeUInt16BE(mac.length, 0);
+
+    const expectedMac = computeTsigMac(key, [macLength, mac, unsigned], tsig);
+
+    if (
+        tsig.mac.length !== expectedMac.length ||
+        !crypto.timingSafeEqual(tsig.mac, expectedMac)
+    ) {
+        throw new Error("Invalid TSIG signature of the response");
+    }
+
+    if (Math.abs(Date.now() / 1000 - tsig.timeSigned) > tsig.fudge) {
+        throw new Error("TSIG signature of the response expired");
+    }
+
+    if (rcode !== 0) {
+        throw new Error(describeRcode(rcode));
+    }
+};
+
+/**
+ * Exchanges a DNS message with a DNS server over TCP.
+ *
+ * @async
+ * @function  exchangeTcp
+ * @param     {String}  address  The address of the server.
+ * @param     {Buffer}  message  The DNS message.
+ * @param     {int}     timeout  The timeout, in milliseconds.
+ * @returns   {Buffer}           The DNS message of the response.
+ * @throws    {Error}            If the exchange fails.
+ */
+const exchangeTcp = (address, message, timeout) => {
+    const { host, port } = parseServerAddress(address);
+    const length = Buffer.alloc(2);
+
+    length.writeUInt16BE(message.length, 0);
+
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: host, port: port });
+        let received = Buffer.alloc(0);
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy(new Error(`Timed out after ${timeout} ms`));
+        });
+        socket.on("connect", () => {
+            socket.write(Buffer.concat([length, message]));
+        });
+        socket.on("data", (chunk) => {
+            received = Buffer.concat([received, chunk]);
+
+            if (
+                received.length >= 2 &&
+                received.length >= 2 + received.readUInt16BE(0)
+            ) {
+                resolve(received.subarray(2, 2 + received.readUInt16BE(0)));
+                socket.end();
+            }
+        });
+        socket.on("error", reject);
+        socket.on("close", () => {
+            reject(new Error("Connection closed"));
+        });
+    });
+};
+
+/**
+ * Replaces the TXT records of names in a zone, sending a dynamic update
+ * signed using a TSIG key to an authoritative server.
+ *
+ * @async
+ * @function  updateTxtRecords
+ * @param     {Object}  update          The update.
+ * @param     {String}  update.server   The address of the authoritative
+ *                                      server, as accepted by parseServerAddress.
+ * @param     {String}  update.zone     The zone name.
+ * @param     {Map}     update.records  The values of the TXT records, by
+ *                                      fully qualified name.
+ * @param     {int}     update.ttl      The time to live of the records, in seconds.
+ * @param     {Object}  update.key      The TSIG key, as returned by parseTsigKey.
+ * @param     {int}     update.timeout  The timeout, in milliseconds.
+ * @throws    {Error}                   If the update fails.
+ */
+const updateTxtRecords = async ({
+    server,
+    zone,
+    records,
+    ttl,
+    key,
+    timeout,
+}) => {
+    const zoneName = zone.toLowerCase().replace(/\.$/, "");
+
+    records.forEach((values, name) => {
+        const recordName = name.toLowerCase().replace(/\.$/, "");
+
+        if (recordName !== zoneName && !recordName.endsWith(`.${zoneName}`)) {
+            throw new Error(`Record '${name}' is not in zone '${zone}'`);
+        }
+    });
+
+    const request = encodeTxtUpdate(
+        crypto.randomInt(65536),
+        zone,
+        records,
+        ttl,
+    );
+    const signed = signMessage(request, key);
+
+    try {
+        checkUpdateResponse(
+            await exchangeTcp(server, signed.message, timeout),
+            request,
+            signed.mac,
+            key,
+        );
+    } catch (error) {
+        throw new Error(
+            `DNS update of zone '${zone}' at '${server}' failed: ${error.message}`,
+        );
+    }
+};
+
+/**
+ * Finds the public keys not published in the TXT records of a name, or
+ * published for another algorithm.
+ *
+ * @async
+ * @function  findUnpublishedKeys
+ * @param     {String}  name      The record name.
+ * @param     {Array}   keys      The algorithm and Base64-encoded public key
+ *                                of each key.
+ * @param     {Object}  resolver  The resolver, as accepted by resolveTxt.
+ * @returns   {Array}             The keys not published.
+ * @throws    {Error}             If the name cannot be resolved.
+ */
+const findUnpublishedKeys = async (name, keys, resolver) => {
+    const records = (await resolveTxt(name, resolver))
+        .map(parseRecordValue)
+        .filter((record) => {
+            return record !== null;
+        });
+
+    return keys.filter((key) => {
+        return !records.some((record) => {
+            return (
+                record.publicKey === key.publicKey &&
+                record.algorithm === key.algorithm
+            );
+        });
+    });
+};
+
+module.exports = {
+    DEFAULT_DOH_RESOLVER,
+    HARC_VALID_ACTIONS,
+    decodeTxtResponse,
+    encodeTxtQuery,
+    findUnpublishedKeys,
+    formatRecordValue,
+    formatZoneRecord,
+    getLookupName,
+    getRecordName,
+    lookupServerAddress,
+    parseRecordValue,
+    parseServerAddress,
+    parseTsigKey,
+    resolveTxt,
+    updateTxtRecords,
+};
@@ -0,0 +1,251 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC content coding utilities.
+ * Response content is signed over its decoded bytes, as seen by the browser
+ * extension, and may be re-encoded for the client independently.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const stream = require("stream");
+const util = require("util");
+const zlib = require("zlib");
+
+// Supported content codings, in order of preference towards the client.
+const SUPPORTED_CONTENT_ENCODINGS = ["br", "gzip", "deflate"];
+
+const BROTLI_QUALITY = 4;
+
+/**
+ * Parses the codings of a Content-Encoding HTTP header.
+ *
+ * @function  parseContentEncoding
+ * @param     {String}  header  The Content-Encoding header value.
+ * @returns   {Array}           The codings in the order they were applied.
+ */
+const parseContentEncoding = (header) => {
+    return (header ?? "")
+        .split(",")
+        .map((coding) => {
+            const c = coding.trim().toLowerCase();
+            return c === "x-gzip" ? "gzip" : c;
+        })
+        .filter((coding) => {
+            return coding !== "" && coding !== "identity";
+        });
+};
+
+/**
+ * Checks whether all codings can be decoded.
+ *
+ * @function  isSupportedContentEncoding
+ * @param     {Array}    codings  The codings.
+ * @returns   {boolean}           Whether all codings are supported.
+ */
+const isSupportedContentEncoding = (codings) => {
+    return codings.every((coding) => {
+        return SUPPORTED_CONTENT_ENCODINGS.includes(coding);
+    });
+};
+
+/**
+ * Selects the preferred content coding of the client.
+ *
+ * @function  selectContentEncoding
+ * @param     {String}  header  The Accept-Encoding header value.
+ * @returns   {String}          The content coding, or "identity".
+ */
+const selectContentEncoding = (header) => {
+    const weights = new Map();
+
+    (header ?? "").split(",").forEach((entry) => {
+        const [coding, ...params] = entry.split(";");
+        let weight = 1;
+
+        params.forEach((param) => {
+            const [name, value] = param.split("=");
+
+            if (name.trim().toLowerCase() === "q") {
+                weight = parseFloat(value);
+            }
+        });
+
+        if (coding.trim() !== "" && !Number.isNaN(weight)) {
+            weights.set(coding.trim().toLowerCase(), weight);
+        }
+    });
+
+    let selected = "identity";
+    let selectedWeight = 0;
+
+    SUPPORTED_CONTENT_ENCODINGS.forEach((coding) => {
+        const weight = weights.get(coding) ?? weights.get("*") ?? 0;
+
+        if (weight > selectedWeight) {
+            selected = coding;
+            selectedWeight = weight;
+        }
+    });
+
+    return selected;
+};
+
+/**
+ * Creates a decoder for the "deflate" coding. Some servers send raw DEFLATE
+ * data instead of the zlib format required by RFC 9110, which is detected
+ * using the zlib header of the first chunk.
+ *
+ * @function  createInflate
+ * @returns   {stream.Transform}  The decoder.
+ */
+const createInflate = () => {
+    let inflate = null;
+
+    return new stream.Transform({
+        transform(chunk, encoding, callback) {
+            if (inflate === null) {
+                /* eslint-disable no-bitwise */
+                const isZlib =
+                    chunk.length >= 2 &&
+                    (chunk[0] & 0x0f) === 8 &&
+                    ((chunk[0] << 8) | chunk[1]) % 31 === 0;
+                /* eslint-enable no-bitwise */
+
+                inflate = isZlib
+                    ? zlib.createInflate()
+                    : zlib.createInflateRaw();
+                inflate.on("data", (data) => {
+                    this.push(data);
+                });
+                inflate.on("error", (error) => {
+                    this.destroy(error);
+                });
+            }
+
+            inflate.write(chunk, () => {
+                callback();
+            });
+        },
+        flush(callback) {
+            if (inflate === null) {
+                callback();
+                return;
+            }
+
+            inflate.once("end", callback);
+            inflate.end();
+        },
+    });
+};
+
+/**
+ * Creates a decoder for a content coding.
+ *
+ * @function  createDecoder
+ * @param     {String}           coding  The content coding.
+ * @returns   {stream.Transform}         The decoder.
+ */
+const createDecoder = (coding) => {
+    switch (coding) {
+        case "br":
+            return zlib.createBrotliDecompress();
+        case "deflate":
+            return createInflate();
+        default:
+            return zlib.createGunzip();
+    }
+};
+
+/**
+ * Decodes a stream of encoded content, off the event loop.
+ * Errors are emitted by the returned stream.
+ *
+ * @function  decodeContentStream
+ * @param     {stream.Readable}  source   The encoded content.
+ * @param     {Array}            codings  The codings applied to the content.
+ * @returns   {stream.Readable}           The decoded content.
+ */
+const decodeContentStream = (source, codings) => {
+    if (codings.length === 0) {
+        return source;
+    }
+
+    // Codings are removed in the reverse order they were applied.
+    const decoders = codings
+        .slice()
+        .reverse()
+        .map((coding) => {
+            return createDecoder(coding);
+        });
+
+    // Errors are propagated to the last stream, which is returned.
+    return stream.pipeline(source, ...decoders, () => {});
+};
+
+/**
+ * Creates an encoder for a content coding.
+ *
+ * @function  createContentEncoder
+ * @param     {String}            coding  The content coding.
+ * @returns   {stream.Transform}          The encoder, or null for "identity".
+ */
+const createContentEncoder = (coding) => {
+    // Flush after every write so that streamed content is not held back.
+    switch (coding) {
+        case "br":
+            return zlib.createBrotliCompress({
+                flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+                },
+            });
+        case "gzip":
+            return zlib.createGzip({ flush: zlib.constants.Z_SYNC_FLUSH });
+        case "deflate":
+            return zlib.createDeflate({ flush: zlib.constants.Z_SYNC_FLUSH });
+        default:
+            return null;
+    }
+};
+
+/**
+ * Encodes content using a content coding, off the event loop.
+ *
+ * @async
+ * @function  encodeContent
+ * @param     {Buffer}  content  The content.
+ * @param     {String}  coding   The content coding.
+ * @returns   {Buffer}           The encoded content.
+ */
+const encodeContent = async (content, coding) => {
+    switch (coding) {
+        case "br":
+            return util.promisify(zlib.brotliCompress)(content, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+                },
+            });
+        case "gzip":
+            return util.promisify(zlib.gzip)(content);
+        case "deflate":
+            return util.promisify(zlib.deflate)(content);
+        default:
+            return content;
+    }
+};
+
+module.exports = {
+    SUPPORTED_CONTENT_ENCODINGS,
+    createContentEncoder,
+    decodeContentStream,
+    encodeContent,
+    isSupportedContentEncoding,
+    parseContentEncoding,
+    selectContentEncoding,
+};
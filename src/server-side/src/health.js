@@ -0,0 +1,228 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC health checks of the signing proxy.
+ *
+ * Each signing key is checked by signing a test vector and verifying the
+ * signature with the public key configured for it, as the browser extension
+ * would. The test vector holds a random nonce, so that it never matches the
+ * signing input of a response or a tree head:
+ *
+ *     @harc: 1
+ *     @self-test: 9f86d081884c7d659a2feaa0c55ad015
+ *
+ * Each upstream server is checked by sending it a HEAD request. Any response,
+ * including an error response, shows that the upstream server is reachable.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { subtle } = require("crypto").webcrypto;
+const { SIGNATURE_ALGORITHMS } = require("./algorithms");
+const { SIGNING_INPUT_VERSION } = require("./signing");
+
+const CRYPTO_OUTPUT_ENCODING = "base64";
+const NONCE_LENGTH = 16;
+
+/**
+ * Builds a test vector to sign.
+ *
+ * @function  buildSelfTestInput
+ * @returns   {Buffer}  The signing input.
+ */
+const buildSelfTestInput = () => {
+    const lines = [
+        `@harc: ${SIGNING_INPUT_VERSION}`,
+        `@self-test: ${crypto.randomBytes(NONCE_LENGTH).toString("hex")}`,
+    ];
+
+    return Buffer.from(lines.join("\n"), "utf-8");
+};
+
+/**
+ * Checks that a signer signs a test vector, with a signature verifying with
+ * its public key.
+ *
+ * @async
+ * @function  testSigner
+ * @param     {Object}  signer  The signer, as returned by loadSigner.
+ * @throws    {Error}           If signing fails, or the signature is invalid.
+ */
+const testSigner = async (signer) => {
+    const { importParams, signParams } = SIGNATURE_ALGORITHMS.get(
+        signer.algorithm,
+    );
+    const signingInput = buildSelfTestInput();
+    const signature = await signer.sign(signingInput);
+    const publicKey = await subtle.importKey(
+        "spki",
+        Buffer.from(signer.publicKey, CRYPTO_OUTPUT_ENCODING),
+        importParams,
+        false,
+        ["verify"],
+    );
+
+    if (
+        !(await subtle.verify(signParams, publicKey, signature, signingInput))
+    ) {
+        throw new Error("Signature does not verify with the public key");
+    }
+};
+
+/**
+ * Checks that an upstream server is reachable.
+ *
+ * @function  checkUpstream
+ * @param     {String}   upstream  The URL of the upstream server.
+ * @param     {int}      timeout   The timeout, in milliseconds.
+ * @returns   {Promise}            Resolves to the status code of the response.
+ */
+const checkUpstream = (upstream, timeout) => {
+    const url = new URL(upstream);
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === "https:" ? https : http).request(
+            url,
+            { method: "HEAD" },
+            (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            },
+        );
+
+        request.setTimeout(timeout, () => {
+            request.destroy(new Error(`Timed out after ${timeout} ms`));
+        });
+        request.on("error", reject);
+        request.end();
+    });
+};
+
+/**
+ * Checks the signing keys and upstream servers of a configuration.
+ *
+ * @async
+ * @function  checkHealth
+ * @param     {Object}  config  The configuration, as returned by loadConfig.
+ * @returns   {Object}          Whether each key and upstream server is
+ *                              healthy, with the error otherwise.
+ */
+const checkHealth = async ({ args, harcSigningKeys, routes }) => {
+    const upstreams = [
+        ...new Set(
+            routes.map((route) => {
+                return route.upstream;
+            }),
+        ),
+    ];
+    const describeError = (error) => {
+        return { healthy: false, error: error.message };
+    };
+
+    const [keys, upstreamResults] = await Promise.all([
+        Promise.all(
+            harcSigningKeys.map((k) => {
+                return testSigner(k).then(() => {
+                    return { healthy: true };
+                }, describeError);
+            }),
+        ),
+        Promise.all(
+            upstreams.map((upstream) => {
+                return checkUpstream(upstream, args.upstreamTimeout).then(
+                    (statusCode) => {
+                        return { healthy: true, statusCode: statusCode };
+                    },
+                    describeError,
+                );
+            }),
+        ),
+    ]);
+
+    return {
+        checkedAt: new Date().toISOString(),
+        keys: harcSigningKeys.map((k, i) => {
+            return { id: k.id, algorithm: k.algorithm, ...keys[i] };
+        }),
+        upstreams: upstreams.map((upstream, i) => {
+            return { upstream: upstream, ...upstreamResults[i] };
+        }),
+    };
+};
+
+/**
+ * Creates a monitor running the health checks periodically, keeping the
+ * result of the latest checks.
+ *
+ * @function  createHealthMonitor
+ * @param     {Function}  getConfig  Returns the current configuration.
+ * @param     {Function}  log        Called with a message and log level.
+ * @returns   {Object}               The monitor.
+ */
+const createHealthMonitor = (getConfig, log) => {
+    let latest = { keys: [], upstreams: [] };
+    let timer = null;
+
+    const isHealthy = ({ keys, upstreams }) => {
+        return [...keys, ...upstreams].every(({ healthy }) => {
+            return healthy;
+        });
+    };
+
+    const run = () => {
+        checkHealth(getConfig()).then((result) => {
+            if (isHealthy(result) !== isHealthy(latest)) {
+                log(
+                    isHealthy(result)
+                        ? "Health checks passed again."
+                        : "Health checks failed, reporting not ready.",
+                    isHealthy(result) ? "info" : "warn",
+                );
+            }
+
+            latest = result;
+        });
+    };
+
+    /**
+     * Starts running the checks periodically, from the result of checks just
+     * run, such as on startup or reload. Restarts them if already running.
+     *
+     * @param  {int}     interval  The interval, in milliseconds, or 0 to never
+     *                             run them again.
+     * @param  {Object}  result    The result of the checks, as returned by
+     *                             checkHealth.
+     */
+    const start = (interval, result) => {
+        clearInterval(timer);
+        latest = result;
+
+        if (interval > 0) {
+            timer = setInterval(run, interval);
+            timer.unref();
+        }
+    };
+
+    return {
+        start: start,
+
+        /**
+         * Returns the result of the latest checks, and whether they passed.
+         *
+         * @returns {Object}  The result of the checks.
+         */
+        getHealth: () => {
+            return { healthy: isHealthy(latest), ...latest };
+        },
+    };
+};
+
+module.exports = { checkHealth, createHealthMonitor };
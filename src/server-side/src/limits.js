@@ -0,0 +1,166 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC resource limits of the signing proxy.
+ *
+ * Responses are buffered in full before they are signed, unless streamed.
+ * The bytes buffered by all responses in progress are bounded by a budget:
+ * Once it is exhausted, responses stop reading from their upstream server
+ * until bytes are released, except for the oldest one, so that responses
+ * always make progress. Paused responses are resumed one at a time, in the
+ * order they were paused, each once the previous one has buffered its next
+ * chunk within the budget, so that the budget is exceeded by one chunk at
+ * most. Client connections are limited by client address.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+/**
+ * Creates a budget of bytes buffered by the responses in progress.
+ *
+ * @function  createBufferBudget
+ * @param     {int}  limit  The number of bytes that may be buffered.
+ * @returns   {Object}      The budget.
+ */
+const createBufferBudget = (limit) => {
+    // Buffers in progress, oldest first, and the resume functions of the
+    // streams paused to wait for bytes to be released, by buffer, in the
+    // order they were paused.
+    const buffers = new Set();
+    const waiting = new Map();
+    let currentLimit = limit;
+    let used = 0;
+
+    const resume = (buffer) => {
+        const resumeSource = waiting.get(buffer);
+
+        waiting.delete(buffer);
+        resumeSource();
+    };
+
+    const resumeWaiting = () => {
+        const oldest = buffers.values().next().value;
+
+        // The oldest buffer always makes progress.
+        if (waiting.has(oldest)) {
+            resume(oldest);
+        }
+
+        if (used < currentLimit && waiting.size !== 0) {
+            resume(waiting.keys().next().value);
+        }
+    };
+
+    /**
+     * Creates a buffer accounted against the budget.
+     *
+     * @param   {stream.Readable}  source  The stream filling the buffer,
+     *                                     paused while the budget is exhausted.
+     * @returns {Object}                   The buffer.
+     */
+    const createBuffer = (source) => {
+        const buffer = { size: 0 };
+
+        buffers.add(buffer);
+
+        return {
+            /**
+             * Accounts bytes added to the buffer, pausing the source if the
+             * budget is exhausted, or resuming the next paused source if not.
+             *
+             * @param  {int}  size  The number of bytes.
+             */
+            add: (size) => {
+                buffer.size += size;
+                used += size;
+
+                if (
+                    used > currentLimit &&
+                    buffers.values().next().value !== buffer
+                ) {
+                    source.pause();
+                    waiting.set(buffer, () => {
+                        source.resume();
+                    });
+                } else {
+                    resumeWaiting();
+                }
+            },
+
+            /**
+             * Releases the bytes of the buffer, resuming paused sources.
+             * Releasing a buffer again has no effect.
+             *
+             * @returns {int}  The number of bytes released.
+             */
+            release: () => {
+                if (!buffers.delete(buffer)) {
+                    return 0;
+                }
+
+                waiting.delete(buffer);
+                used -= buffer.size;
+                resumeWaiting();
+
+                return buffer.size;
+            },
+        };
+    };
+
+    /**
+     * Changes the number of bytes that may be buffered.
+     *
+     * @param  {int}  newLimit  The number of bytes.
+     */
+    const setLimit = (newLimit) => {
+        currentLimit = newLimit;
+        resumeWaiting();
+    };
+
+    return { createBuffer: createBuffer, setLimit: setLimit };
+};
+
+/**
+ * Limits the number of open connections of each client address to a server.
+ * Connections beyond the limit are closed as soon as they are accepted.
+ *
+ * @function  limitClientConnections
+ * @param     {net.Server}  server    The server.
+ * @param     {Function}    getLimit  Returns the number of connections allowed
+ *                                    per client address, or 0 if unlimited.
+ * @param     {Function}    onReject  Called with the client address of each
+ *                                    rejected connection.
+ */
+const limitClientConnections = (server, getLimit, onReject) => {
+    const connections = new Map();
+
+    server.on("connection", (socket) => {
+        const address = socket.remoteAddress ?? "";
+        const count = connections.get(address) ?? 0;
+        const limit = getLimit();
+
+        if (limit !== 0 && count >= limit) {
+            onReject(address);
+            socket.destroy();
+            return;
+        }
+
+        connections.set(address, count + 1);
+        socket.once("close", () => {
+            const remaining = connections.get(address) - 1;
+
+            if (remaining === 0) {
+                connections.delete(address);
+            } else {
+                connections.set(address, remaining);
+            }
+        });
+    });
+};
+
+module.exports = { createBufferBudget, limitClientConnections };
@@ -0,0 +1,384 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC logging.
+ *
+ * Access logs and diagnostic logs are written to separate destinations, each
+ * either a standard stream ("-") or a file. Files are rotated by size or time,
+ * keeping a number of rotated files, and can be reopened after being moved by
+ * an external tool.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const strftime = require("strftime");
+const supportsColour = require("color-support");
+
+const ACCESS_LOG_FORMATS = ["json", "clf", "combined"];
+const LOG_LEVELS = ["verbose", "info", "warn", "error"];
+
+// Timestamp appended to the names of rotated files.
+const ROTATED_SUFFIX_FORMAT = "%Y%m%d-%H%M%S";
+const ROTATED_SUFFIX_PATTERN = /^\d{8}-\d{6}(-\d+)?$/;
+
+const LEVEL_COLOURS = {
+    verbose: "\x1b[32m",
+    info: "\x1b[36m",
+    warn: "\x1b[33m",
+    error: "\x1b[31m",
+};
+
+/**
+ * Creates a writer for a standard stream.
+ *
+ * @function  createStreamWriter
+ * @param     {stream.Writable}  stream  The standard stream.
+ * @returns   {Object}                   The log writer.
+ */
+const createStreamWriter = (stream) => {
+    return {
+        colour: Boolean(supportsColour({ stream: stream })),
+        write: (line) => {
+            stream.write(`${line}\n`);
+        },
+        reopen: () => {},
+        close: () => {},
+    };
+};
+
+/**
+ * Deletes the oldest rotated files of a log file.
+ *
+ * @function  pruneRotatedFiles
+ * @param     {String}  filePath  The path to the log file.
+ * @param     {int}     keep      The number of rotated files to keep.
+ */
+const pruneRotatedFiles = (filePath, keep) => {
+    const prefix = `${path.basename(filePath)}.`;
+    const directory = path.dirname(filePath);
+    const rotated = fs
+        .readdirSync(directory)
+        .filter((name) => {
+            return (
+                name.startsWith(prefix) &&
+                ROTATED_SUFFIX_PATTERN.test(name.substring(prefix.length))
+            );
+        })
+        .sort();
+
+    rotated.slice(0, Math.max(rotated.length - keep, 0)).forEach((name) => {
+        fs.unlinkSync(path.join(directory, name));
+    });
+};
+
+/**
+ * Creates a writer appending to a file, rotating it once it reaches a size,
+ * or at the end of each interval. Intervals start at multiples of their
+ * length since the Unix epoch, so a day-long interval ends at midnight UTC.
+ * Both conditions are checked before each line is written.
+ *
+ * @function  createFileWriter
+ * @param     {String}  filePath  The path to the log file.
+ * @param     {Object}  rotation  The maximum size in bytes, interval in
+ *                                seconds and number of rotated files to
+ *                                keep. Size and interval are optional.
+ * @returns   {Object}            The log writer.
+ * @throws    {Error}             If the file cannot be opened.
+ */
+const createFileWriter = (filePath, rotation) => {
+    const intervalMs =
+        rotation.interval === undefined ? null : rotation.interval * 1000;
+    let stream;
+    let size;
+    let rotateAt;
+
+    const getRotateAt = () => {
+        return intervalMs === null
+            ? Infinity
+            : (Math.floor(Date.now() / intervalMs) + 1) * intervalMs;
+    };
+
+    const open = () => {
+        // Opened synchronously, so that errors are reported immediately and
+        // the file is not renamed before it is opened.
+        const fd = fs.openSync(filePath, "a");
+
+        stream = fs.createWriteStream(null, { fd: fd });
+        stream.on("error", (error) => {
+            process.stderr.write(
+                `Failed to write log file '${filePath}': ${error.message}\n`,
+            );
+        });
+        size = fs.fstatSync(fd).size;
+        rotateAt = getRotateAt();
+    };
+
+    const rotate = () => {
+        const suffix = strftime(ROTATED_SUFFIX_FORMAT);
+        let rotatedPath = `${filePath}.${suffix}`;
+
+        for (let i = 1; fs.existsSync(rotatedPath); i++) {
+            rotatedPath = `${filePath}.${suffix}-${i}`;
+        }
+
+        // Pending writes complete on the renamed file.
+        stream.end();
+        fs.renameSync(filePath, rotatedPath);
+        open();
+
+        if (rotation.keep > 0) {
+            pruneRotatedFiles(filePath, rotation.keep);
+        }
+    };
+
+    open();
+
+    return {
+        colour: false,
+        write: (line) => {
+            const data = `${line}\n`;
+            const length = Buffer.byteLength(data);
+
+            if (size === 0) {
+                // Empty files are not rotated.
+                rotateAt = getRotateAt();
+            } else if (
+                (rotation.size !== undefined &&
+                    size + length > rotation.size) ||
+                Date.now() >= rotateAt
+            ) {
+                try {
+                    rotate();
+                } catch (error) {
+                    process.stderr.write(
+                        `Failed to rotate log file '${filePath}': ${error.message}\n`,
+                    );
+                }
+            }
+
+            stream.write(data);
+            size += length;
+        },
+        reopen: () => {
+            const previous = stream;
+
+            open();
+            previous.end();
+        },
+        close: () => {
+            stream.end();
+        },
+    };
+};
+
+/**
+ * Creates a log writer.
+ *
+ * @function  createLogWriter
+ * @param     {String}           destination  The path to the log file, or
+ *                                            "-" for the standard stream.
+ * @param     {stream.Writable}  stream       The standard stream.
+ * @param     {Object}           rotation     The rotation of log files.
+ * @returns   {Object}                        The log writer.
+ */
+const createLogWriter = (destination, stream, rotation) => {
+    return destination === "-"
+        ? createStreamWriter(stream)
+        : createFileWriter(destination, rotation);
+};
+
+// Replaced by configureLogging. Diagnostic messages logged before then, such
+// as configuration errors, are written to the standard error stream.
+let accessLog = createStreamWriter(process.stdout);
+let accessLogFormat = "combined";
+let diagnosticLog = createStreamWriter(process.stderr);
+let logLevel = "info";
+
+/**
+ * Configures the log destinations, formats and level. Log files are opened
+ * before any are replaced, so that the current logs are kept on failure.
+ *
+ * @function  configureLogging
+ * @param     {Object}  args  The parsed arguments.
+ * @throws    {Error}         If a log file cannot be opened.
+ */
+const configureLogging = (args) => {
+    const rotation = {
+        size: args.logRotateSize,
+        interval: args.logRotateInterval,
+        keep: args.logRotateKeep,
+    };
+    let newAccessLog;
+    let newDiagnosticLog;
+
+    try {
+        newAccessLog = createLogWriter(
+            args.accessLog,
+            process.stdout,
+            rotation,
+        );
+    } catch (error) {
+        throw new Error(
+            `Failed to open access log '${args.accessLog}': ${error.message}`,
+        );
+    }
+
+    try {
+        newDiagnosticLog = createLogWriter(
+            args.logFile,
+            process.stderr,
+            rotation,
+        );
+    } catch (error) {
+        newAccessLog.close();
+        throw new Error(
+            `Failed to open log file '${args.logFile}': ${error.message}`,
+        );
+    }
+
+    accessLog.close();
+    diagnosticLog.close();
+
+    accessLog = newAccessLog;
+    accessLogFormat = args.accessLogFormat;
+    diagnosticLog = newDiagnosticLog;
+    logLevel = args.verbose ? "verbose" : args.logLevel;
+};
+
+/**
+ * Reopens the log files, such as after they are moved by logrotate.
+ *
+ * @function  reopenLogs
+ * @throws    {Error}  If a log file cannot be reopened.
+ */
+const reopenLogs = () => {
+    accessLog.reopen();
+    diagnosticLog.reopen();
+};
+
+/**
+ * Pretty diagnostic logger.
+ *
+ * @function  prettyLog
+ * @param     {String}  msg    The string to log.
+ * @param     {String}  level  The log level. Accepts: ["verbose", "info", "warn", "error"]
+ */
+const prettyLog = (msg, level = "info") => {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) {
+        return;
+    }
+
+    const ts = strftime("%Y-%m-%d %H:%M:%S");
+
+    if (diagnosticLog.colour) {
+        diagnosticLog.write(`[${LEVEL_COLOURS[level]}${ts}\x1b[0m] ${msg}`);
+    } else {
+        diagnosticLog.write(`[${ts}] ${level.toUpperCase()} ${msg}`);
+    }
+};
+
+/**
+ * Formats a latency in milliseconds.
+ *
+ * @function  formatLatency
+ * @param     {number}  latency  The latency in milliseconds, or null.
+ * @returns   {number}           The latency rounded to microseconds, or null.
+ */
+const formatLatency = (latency) => {
+    return latency === null ? null : Math.round(latency * 1000) / 1000;
+};
+
+/**
+ * Formats an access log entry in the Common Log Format (CLF), or the Combined
+ * Log Format, followed by the HARC fields.
+ *
+ * @function  formatAccessLine
+ * @param     {Object}   entry     The access log entry.
+ * @param     {boolean}  combined  Whether to include the referer and user agent.
+ * @param     {boolean}  colour    Whether to colourise the line.
+ * @returns   {String}             The log line.
+ */
+const formatAccessLine = (entry, combined, colour) => {
+    let client = entry.client ?? "-";
+    let ts = strftime("%d/%b/%Y:%H:%M:%S %z", entry.time);
+    let { status } = entry;
+    let signature = entry.signature ?? "-";
+
+    if (colour) {
+        client = `\x1b[35m${client}\x1b[0m`;
+        ts = `\x1b[36m${ts}\x1b[0m`;
+
+        if (status >= 200 && status <= 299) {
+            status = `\x1b[32m${status}\x1b[0m`;
+        } else if (status >= 400 && status <= 599) {
+            status = `\x1b[31m${status}\x1b[0m`;
+        }
+
+        if (entry.signature !== null) {
+            signature = `\x1b[32m${signature}\x1b[0m`;
+        }
+    }
+
+    let line = `${client} - - [${ts}] "${entry.method} ${entry.url} HTTP/${
+        entry.httpVersion
+    }" ${status} ${entry.bytes ?? "-"}`;
+
+    if (combined) {
+        line += ` "${entry.referer ?? "-"}" "${entry.userAgent ?? "-"}"`;
+    }
+
+    return `${line} key_id=${entry.keyId ?? "-"} digest=${
+        entry.digest ?? "-"
+    } signature=${signature} upstream_ms=${
+        formatLatency(entry.upstreamLatency) ?? "-"
+    } total_ms=${formatLatency(entry.totalLatency)}`;
+};
+
+/**
+ * Logs a request to the access log.
+ *
+ * @function  logAccess
+ * @param     {Object}  entry  The access log entry, with the request time,
+ *                             client address, method, URL, HTTP version,
+ *                             host, referer, user agent, response status,
+ *                             content length, key ID, signature algorithm,
+ *                             content digest, signature, and the upstream and
+ *                             total latencies in milliseconds. Unknown
+ *                             values are null.
+ */
+const logAccess = (entry) => {
+    if (accessLogFormat === "json") {
+        accessLog.write(
+            JSON.stringify({
+                ...entry,
+                time: entry.time.toISOString(),
+                upstreamLatency: formatLatency(entry.upstreamLatency),
+                totalLatency: formatLatency(entry.totalLatency),
+            }),
+        );
+    } else {
+        accessLog.write(
+            formatAccessLine(
+                entry,
+                accessLogFormat === "combined",
+                accessLog.colour,
+            ),
+        );
+    }
+};
+
+module.exports = {
+    ACCESS_LOG_FORMATS,
+    LOG_LEVELS,
+    configureLogging,
+    logAccess,
+    prettyLog,
+    reopenLogs,
+};
@@ -0,0 +1,142 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC Merkle tree for incremental signing of streamed response content.
+ *
+ * The content is split into fixed-size records, which form the leaves of a
+ * Merkle tree hashed as described in RFC 6962, Section 2.1:
+ *   - Leaf hash: SHA-256(0x00 || record)
+ *   - Node hash: SHA-256(0x01 || left || right)
+ *   - Root of empty content: SHA-256("")
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+
+const MERKLE_HASH_ALGO = "sha256";
+const MERKLE_LEAF_PREFIX = Buffer.from([0x00]);
+const MERKLE_NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Computes the hash of a Merkle tree leaf.
+ *
+ * @function  hashLeaf
+ * @param     {Buffer}  record  The record.
+ * @returns   {Buffer}          The leaf hash.
+ */
+const hashLeaf = (record) => {
+    return crypto
+        .createHash(MERKLE_HASH_ALGO)
+        .update(MERKLE_LEAF_PREFIX)
+        .update(record)
+        .digest();
+};
+
+/**
+ * Computes the hash of a Merkle tree node.
+ *
+ * @function  hashNode
+ * @param     {Buffer}  left   The hash of the left child.
+ * @param     {Buffer}  right  The hash of the right child.
+ * @returns   {Buffer}         The node hash.
+ */
+const hashNode = (left, right) => {
+    return crypto
+        .createHash(MERKLE_HASH_ALGO)
+        .update(MERKLE_NODE_PREFIX)
+        .update(left)
+        .update(right)
+        .digest();
+};
+
+/**
+ * Creates a Merkle tree that computes its root incrementally.
+ * Only the current partial record and one hash per tree level are kept
+ * in memory, regardless of the content length.
+ *
+ * @function  createMerkleTree
+ * @param     {int}     recordSize  The record size in bytes.
+ * @returns   {Object}              The Merkle tree.
+ */
+const createMerkleTree = (recordSize) => {
+    // Roots of complete subtrees, ordered from largest to smallest.
+    const subtrees = [];
+    const pending = [];
+    let pendingLength = 0;
+
+    const addLeaf = (record) => {
+        let subtree = { hash: hashLeaf(record), size: 1 };
+
+        // Merge complete subtrees of equal size.
+        while (
+            subtrees.length !== 0 &&
+            subtrees[subtrees.length - 1].size === subtree.size
+        ) {
+            const left = subtrees.pop();
+            subtree = {
+                hash: hashNode(left.hash, subtree.hash),
+                size: left.size + subtree.size,
+            };
+        }
+
+        subtrees.push(subtree);
+    };
+
+    /**
+     * Adds content to the tree.
+     *
+     * @param  {Buffer}  chunk  The content chunk.
+     */
+    const update = (chunk) => {
+        let offset = 0;
+
+        while (offset < chunk.length) {
+            const length = Math.min(
+                recordSize - pendingLength,
+                chunk.length - offset,
+            );
+
+            pending.push(chunk.subarray(offset, offset + length));
+            pendingLength += length;
+            offset += length;
+
+            if (pendingLength === recordSize) {
+                addLeaf(Buffer.concat(pending));
+                pending.length = 0;
+                pendingLength = 0;
+            }
+        }
+    };
+
+    /**
+     * Completes the tree and returns its root.
+     *
+     * @returns  {Buffer}  The root hash.
+     */
+    const digest = () => {
+        if (pendingLength !== 0) {
+            addLeaf(Buffer.concat(pending));
+            pending.length = 0;
+            pendingLength = 0;
+        }
+
+        if (subtrees.length === 0) {
+            return crypto.createHash(MERKLE_HASH_ALGO).digest();
+        }
+
+        // The RFC 6962 tree places the largest complete subtree on the left.
+        return subtrees.reduceRight((right, left) => {
+            return { hash: hashNode(left.hash, right.hash) };
+        }).hash;
+    };
+
+    return { update: update, digest: digest };
+};
+
+module.exports = { createMerkleTree, hashLeaf, hashNode };
@@ -0,0 +1,124 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC Prometheus metrics, exposed by the admin listener.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const promClient = require("prom-client");
+
+const register = new promClient.Registry();
+
+promClient.collectDefaultMetrics({ register: register });
+
+const metrics = {
+    requestsSigned: new promClient.Counter({
+        name: "harc_requests_signed_total",
+        help: "Number of responses signed.",
+        labelNames: ["algorithm"],
+        registers: [register],
+    }),
+    signingDuration: new promClient.Histogram({
+        name: "harc_signing_duration_seconds",
+        help: "Time taken to sign a response, excluding the content digest.",
+        labelNames: ["algorithm"],
+        buckets: [0.0001, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.1],
+        registers: [register],
+    }),
+    signingFailures: new promClient.Counter({
+        name: "harc_signing_failures_total",
+        help: "Number of responses failed closed because they could not be signed.",
+        labelNames: ["algorithm"],
+        registers: [register],
+    }),
+    unsignedResponses: new promClient.Counter({
+        name: "harc_unsigned_responses_total",
+        help: "Number of responses passed through unsigned by policy.",
+        registers: [register],
+    }),
+    upstreamBytes: new promClient.Counter({
+        name: "harc_upstream_bytes_total",
+        help: "Bytes of response content received from upstream servers, before decoding.",
+        registers: [register],
+    }),
+    signedBytes: new promClient.Counter({
+        name: "harc_signed_bytes_total",
+        help: "Bytes of decoded response content covered by signatures.",
+        registers: [register],
+    }),
+    upstreamErrors: new promClient.Counter({
+        name: "harc_upstream_errors_total",
+        help: "Number of error responses from upstream servers, by status class.",
+        labelNames: ["status_class"],
+        registers: [register],
+    }),
+    upstreamFailures: new promClient.Counter({
+        name: "harc_upstream_failures_total",
+        help: "Number of failed upstream requests, including retried requests, by error code.",
+        labelNames: ["code"],
+        registers: [register],
+    }),
+    upgradedConnections: new promClient.Counter({
+        name: "harc_upgraded_connections_total",
+        help: "Number of upgrade requests, such as WebSockets, passed through unsigned.",
+        registers: [register],
+    }),
+    decompressionFailures: new promClient.Counter({
+        name: "harc_decompression_failures_total",
+        help: "Number of upstream responses whose content could not be decoded.",
+        labelNames: ["content_encoding"],
+        registers: [register],
+    }),
+    activeConnections: new promClient.Gauge({
+        name: "harc_active_connections",
+        help: "Number of open client connections.",
+        registers: [register],
+    }),
+    rejectedConnections: new promClient.Counter({
+        name: "harc_rejected_connections_total",
+        help: "Number of client connections closed for exceeding the connection limit of their client address.",
+        registers: [register],
+    }),
+    bufferedBytes: new promClient.Gauge({
+        name: "harc_buffered_bytes",
+        help: "Bytes of response content buffered for signing.",
+        registers: [register],
+    }),
+    oversizedResponses: new promClient.Counter({
+        name: "harc_oversized_responses_total",
+        help: "Number of responses too large to be buffered for signing, by action taken.",
+        labelNames: ["action"],
+        registers: [register],
+    }),
+};
+
+/**
+ * Aggregates the metrics of cluster workers. In each worker, shares its
+ * metrics with the primary process on request. In the primary process,
+ * returns a registry whose metrics are collected from every worker, summing
+ * counters and histograms.
+ *
+ * @function  createClusterRegistry
+ * @returns   {Object}  The registry, with the content type and the
+ *                      aggregated metrics.
+ */
+const createClusterRegistry = () => {
+    const aggregator = new promClient.AggregatorRegistry();
+
+    promClient.AggregatorRegistry.setRegistries([register]);
+
+    return {
+        contentType: aggregator.contentType,
+        metrics: () => {
+            return aggregator.clusterMetrics();
+        },
+    };
+};
+
+module.exports = { createClusterRegistry, metrics, register };
@@ -0,0 +1,238 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC signing policy.
+ *
+ * Rules match responses by request path, content type and status code. A
+ * rule matches if each of its fields matches, and a field matches if any of
+ * its patterns matches:
+ *
+ *     path=/media/**,contentType=video/*,status=2xx
+ *
+ * A response is signed unless it matches an exclude rule, include rules are
+ * given and it matches none of them, or its Content-Length exceeds the
+ * maximum size. Other responses are passed through unsigned.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const RULE_FIELDS = ["path", "contentType", "status"];
+
+/**
+ * Converts a path glob into a regular expression. "*" and "?" match within a
+ * path segment, and "**" matches across path segments.
+ *
+ * @function  globToRegExp
+ * @param     {String}  glob  The path glob.
+ * @returns   {RegExp}        The regular expression.
+ */
+const globToRegExp = (glob) => {
+    const source = glob
+        .split("**")
+        .map((part) => {
+            return part
+                .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+                .replace(/\*/g, "[^/]*")
+                .replace(/\?/g, "[^/]");
+        })
+        .join(".*");
+
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Parses and validates a pattern of a rule field.
+ *
+ * @function  parsePattern
+ * @param     {String}  field    The rule field.
+ * @param     {String}  pattern  The pattern.
+ * @returns   {Function}         Returns whether a value matches the pattern.
+ * @throws    {Error}            If the pattern is invalid.
+ */
+const parsePattern = (field, pattern) => {
+    const value = `${pattern}`.trim();
+
+    if (field === "path") {
+        if (!value.startsWith("/")) {
+            throw new Error(`Invalid path '${value}': Must start with '/'`);
+        }
+
+        const regExp = globToRegExp(value);
+
+        return (path) => {
+            return regExp.test(path);
+        };
+    }
+
+    if (field === "contentType") {
+        const mediaType = value.toLowerCase();
+
+        if (
+            !/^([a-z0-9!#$&^_.+-]+|\*)\/([a-z0-9!#$&^_.+-]+|\*)$/.test(
+                mediaType,
+            )
+        ) {
+            throw new Error(`Invalid content type '${value}'`);
+        }
+
+        const [type, subtype] = mediaType.split("/");
+
+        return (contentType) => {
+            const [actualType, actualSubtype] = contentType.split("/");
+
+            return (
+                actualSubtype !== undefined &&
+                (type === "*" || type === actualType) &&
+                (subtype === "*" || subtype === actualSubtype)
+            );
+        };
+    }
+
+    if (!/^[1-5]([0-9]{2}|xx)$/i.test(value)) {
+        throw new Error(
+            `Invalid status '${value}': Expected a status code or class, such as 206 or 2xx`,
+        );
+    }
+
+    return (status) => {
+        return /xx$/i.test(value)
+            ? `${status}`[0] === value[0]
+            : `${status}` === value;
+    };
+};
+
+/**
+ * Parses and validates a signing policy rule.
+ *
+ * @function  parsePolicyRule
+ * @param     {(String|Object)}  spec  The rule, as FIELD=PATTERN[,FIELD=PATTERN]...,
+ *                                     or an object from the configuration
+ *                                     file whose values are patterns or
+ *                                     arrays of patterns.
+ * @returns   {Object}                 The rule, with the patterns of each field.
+ * @throws    {Error}                  If the rule is invalid.
+ */
+const parsePolicyRule = (spec) => {
+    const patterns = {};
+
+    if (typeof spec === "string") {
+        spec.split(",").forEach((condition) => {
+            const index = condition.indexOf("=");
+
+            if (index === -1) {
+                throw new Error(
+                    `Invalid rule '${spec}': Expected FIELD=PATTERN[,FIELD=PATTERN]...`,
+                );
+            }
+
+            const field = condition.substring(0, index).trim();
+
+            patterns[field] = [
+                ...(patterns[field] ?? []),
+                condition.substring(index + 1),
+            ];
+        });
+    } else if (spec !== null && typeof spec === "object") {
+        Object.entries(spec).forEach(([field, value]) => {
+            patterns[field] = Array.isArray(value) ? value : [value];
+        });
+    } else {
+        throw new Error(`Invalid rule '${spec}': Expected a string or object`);
+    }
+
+    const fields = Object.keys(patterns);
+
+    if (fields.length === 0) {
+        throw new Error("Invalid rule: No fields");
+    }
+
+    fields.forEach((field) => {
+        if (!RULE_FIELDS.includes(field)) {
+            throw new Error(
+                `Invalid rule field '${field}': Expected one of ${RULE_FIELDS.join(
+                    ", ",
+                )}`,
+            );
+        }
+    });
+
+    return {
+        patterns: patterns,
+        matchers: Object.fromEntries(
+            fields.map((field) => {
+                return [
+                    field,
+                    patterns[field].map((pattern) => {
+                        return parsePattern(field, pattern);
+                    }),
+                ];
+            }),
+        ),
+    };
+};
+
+/**
+ * Formats a signing policy rule for display.
+ *
+ * @function  formatPolicyRule
+ * @param     {Object}  rule  The rule, as returned by parsePolicyRule.
+ * @returns   {String}        The rule, as FIELD=PATTERN[,FIELD=PATTERN]...
+ */
+const formatPolicyRule = (rule) => {
+    return Object.entries(rule.patterns)
+        .flatMap(([field, patterns]) => {
+            return patterns.map((pattern) => {
+                return `${field}=${pattern}`;
+            });
+        })
+        .join(",");
+};
+
+/**
+ * Creates a function deciding whether to sign a response.
+ *
+ * @function  createSigningPolicy
+ * @param     {Object}  policy          The signing policy.
+ * @param     {Array}   policy.include  The include rules.
+ * @param     {Array}   policy.exclude  The exclude rules.
+ * @param     {number}  policy.maxSize  The maximum content length to sign, if any.
+ * @returns   {Function}                Returns whether to sign the response to
+ *                                      a request, given the request and the
+ *                                      upstream response.
+ */
+const createSigningPolicy = ({ include, exclude, maxSize }) => {
+    return (request, proxyRes) => {
+        const values = {
+            path: request.url.split("?")[0],
+            contentType: (proxyRes.headers["content-type"] ?? "")
+                .split(";")[0]
+                .trim()
+                .toLowerCase(),
+            status: proxyRes.statusCode,
+        };
+        const matches = (rule) => {
+            return Object.entries(rule.matchers).every(([field, matchers]) => {
+                return matchers.some((matcher) => {
+                    return matcher(values[field]);
+                });
+            });
+        };
+        const contentLength = parseInt(proxyRes.headers["content-length"], 10);
+
+        if (maxSize !== undefined && contentLength > maxSize) {
+            return false;
+        }
+
+        return (
+            (include.length === 0 || include.some(matches)) &&
+            !exclude.some(matches)
+        );
+    };
+};
+
+module.exports = { createSigningPolicy, formatPolicyRule, parsePolicyRule };
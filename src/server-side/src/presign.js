@@ -0,0 +1,340 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC offline pre-signing of static sites.
+ *
+ * Each file of a build directory is signed as the response to a GET request
+ * for its URL, with status 200, as the proxy would sign it. Index files are
+ * also signed for the URL of their directory. The resulting HARC headers are
+ * written as sidecar files, or as header rules for a static host to serve.
+ * The host must serve the files unmodified, with the same Content-Type, and
+ * must not set any other signed header.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+    DIGEST_LABEL,
+    HARC_HEADER_ALGO,
+    HARC_HEADER_EXPIRES,
+    HARC_HEADER_KEY_ID,
+    HARC_HEADER_SIGNATURE,
+    HARC_HEADER_SIGNED_AT,
+    HARC_HEADER_SIGNED_HEADERS,
+    HARC_HEADER_UNSIGNED,
+    UNSIGNED_DIGEST,
+    buildSigningInput,
+} = require("./signing");
+
+const CRYPTO_OUTPUT_ENCODING = "base64";
+const DEFAULT_CONTENT_TYPE = "application/octet-stream";
+const MANIFEST_FORMATS = ["sidecar", "headers", "nginx"];
+const SIDECAR_SUFFIX = ".harc.json";
+
+// Content types of common static files, by file extension.
+const CONTENT_TYPES = new Map([
+    [".avif", "image/avif"],
+    [".css", "text/css; charset=utf-8"],
+    [".csv", "text/csv; charset=utf-8"],
+    [".gif", "image/gif"],
+    [".htm", "text/html; charset=utf-8"],
+    [".html", "text/html; charset=utf-8"],
+    [".ico", "image/x-icon"],
+    [".jpeg", "image/jpeg"],
+    [".jpg", "image/jpeg"],
+    [".js", "text/javascript; charset=utf-8"],
+    [".json", "application/json; charset=utf-8"],
+    [".map", "application/json; charset=utf-8"],
+    [".md", "text/markdown; charset=utf-8"],
+    [".mjs", "text/javascript; charset=utf-8"],
+    [".mp3", "audio/mpeg"],
+    [".mp4", "video/mp4"],
+    [".ogg", "audio/ogg"],
+    [".otf", "font/otf"],
+    [".pdf", "application/pdf"],
+    [".png", "image/png"],
+    [".svg", "image/svg+xml"],
+    [".ttf", "font/ttf"],
+    [".txt", "text/plain; charset=utf-8"],
+    [".wasm", "application/wasm"],
+    [".webm", "video/webm"],
+    [".webmanifest", "application/manifest+json"],
+    [".webp", "image/webp"],
+    [".woff", "font/woff"],
+    [".woff2", "font/woff2"],
+    [".xml", "application/xml; charset=utf-8"],
+    [".zip", "application/zip"],
+]);
+
+/**
+ * Lists the files of a directory recursively, skipping sidecar files.
+ *
+ * @function  listFiles
+ * @param     {String}  dir      The directory.
+ * @param     {Array}   exclude  The paths of files to skip, relative to the directory.
+ * @returns   {Array}            The paths of the files, relative to the
+ *                               directory and using "/" as separator, sorted.
+ */
+const listFiles = (dir, exclude) => {
+    const files = [];
+
+    const walk = (relativeDir) => {
+        fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true })
+            .sort((a, b) => {
+                return a.name < b.name ? -1 : Number(a.name > b.name);
+            })
+            .forEach((entry) => {
+                const relativePath = path.posix.join(relativeDir, entry.name);
+                const stat = entry.isSymbolicLink()
+                    ? fs.statSync(path.join(dir, relativePath))
+                    : entry;
+
+                if (stat.isDirectory()) {
+                    walk(relativePath);
+                } else if (
+                    stat.isFile() &&
+                    !entry.name.endsWith(SIDECAR_SUFFIX) &&
+                    !exclude.includes(relativePath)
+                ) {
+                    files.push(relativePath);
+                }
+            });
+    };
+
+    walk("");
+
+    return files;
+};
+
+/**
+ * Determines the URLs a file is served at. Index files are also served at
+ * the URL of their directory.
+ *
+ * @function  getFileUrls
+ * @param     {String}  baseUrl       The URL the directory is served at.
+ * @param     {String}  relativePath  The path of the file, relative to the directory.
+ * @param     {String}  indexFile     The name of index files, or "" if none.
+ * @returns   {Array}                 The URLs.
+ */
+const getFileUrls = (baseUrl, relativePath, indexFile) => {
+    const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+    const urls = [new URL(relativePath, base).href];
+
+    if (indexFile !== "" && path.posix.basename(relativePath) === indexFile) {
+        const dir = path.posix.dirname(relativePath);
+
+        urls.unshift(new URL(dir === "." ? "" : `${dir}/`, base).href);
+    }
+
+    return urls;
+};
+
+/**
+ * Signs the files of a directory.
+ *
+ * @async
+ * @function  signDirectory
+ * @param     {String}    dir                      The directory.
+ * @param     {Object}    options                  The signing options.
+ * @param     {String}    options.baseUrl          The URL the directory is served at.
+ * @param     {String}    options.indexFile        The name of index files, or "" if none.
+ * @param     {Object}    options.harcSigningKey   The signer, as returned by loadSigner.
+ * @param     {Array}     options.signedHeaders    The names of the signed headers.
+ * @param     {int}       options.validity         The number of seconds the signatures remain valid.
+ * @param     {Function}  options.shouldSign       The signing policy, as returned by createSigningPolicy.
+ * @param     {Array}     options.exclude          The paths of files to skip, relative to the directory.
+ * @returns   {Array}                              The signed responses, each with the
+ *                                                 path of its file, its URL and HARC headers.
+ */
+const signDirectory = async (
+    dir,
+    {
+        baseUrl,
+        indexFile,
+        harcSigningKey,
+        signedHeaders,
+        validity,
+        shouldSign,
+        exclude,
+    },
+) => {
+    const signedAt = Math.floor(Date.now() / 1000);
+    const expires = signedAt + validity;
+    const responses = [];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const relativePath of listFiles(dir, exclude)) {
+        const content = fs.readFileSync(path.join(dir, relativePath));
+        const contentType =
+            CONTENT_TYPES.get(path.extname(relativePath).toLowerCase()) ??
+            DEFAULT_CONTENT_TYPE;
+        const digest = `${DIGEST_LABEL}=${crypto
+            .createHash("sha256")
+            .update(content)
+            .digest(CRYPTO_OUTPUT_ENCODING)}`;
+
+        // eslint-disable-next-line no-restricted-syntax
+        for (const url of getFileUrls(baseUrl, relativePath, indexFile)) {
+            const headers = { "Content-Type": contentType };
+            const signed = shouldSign(
+                { url: new URL(url).pathname },
+                {
+                    statusCode: 200,
+                    headers: {
+                        "content-type": contentType,
+                        "content-length": `${content.length}`,
+                    },
+                },
+            );
+
+            Object.assign(headers, {
+                [HARC_HEADER_ALGO]: harcSigningKey.algorithm,
+                [HARC_HEADER_KEY_ID]: harcSigningKey.id,
+                [HARC_HEADER_SIGNED_AT]: `${signedAt}`,
+                [HARC_HEADER_EXPIRES]: `${expires}`,
+                [HARC_HEADER_SIGNED_HEADERS]: signedHeaders.join(", "),
+            });
+
+            if (!signed) {
+                headers[HARC_HEADER_UNSIGNED] = "policy";
+            }
+
+            const signingInput = buildSigningInput({
+                method: "GET",
+                url: url,
+                status: 200,
+                created: signedAt,
+                expires: expires,
+                signedHeaders: signedHeaders,
+                getHeader: (name) => {
+                    return name === "content-type" ? contentType : undefined;
+                },
+                digest: signed ? digest : UNSIGNED_DIGEST,
+            });
+
+            // eslint-disable-next-line no-await-in-loop
+            const signature = await harcSigningKey.sign(signingInput);
+
+            headers[HARC_HEADER_SIGNATURE] = signature.toString(
+                CRYPTO_OUTPUT_ENCODING,
+            );
+
+            responses.push({
+                path: relativePath,
+                url: url,
+                signed: signed,
+                headers: headers,
+            });
+        }
+    }
+
+    return responses;
+};
+
+/**
+ * Formats the sidecar files of signed responses, listing the URLs of each
+ * file with their headers.
+ *
+ * @function  formatSidecars
+ * @param     {Array}  responses  The signed responses, as returned by signDirectory.
+ * @returns   {Map}               The contents of each sidecar file, by the
+ *                                path of its file.
+ */
+const formatSidecars = (responses) => {
+    const sidecars = new Map();
+
+    responses.forEach(({ path: relativePath, url, headers }) => {
+        sidecars.set(relativePath, [
+            ...(sidecars.get(relativePath) ?? []),
+            { url: url, headers: headers },
+        ]);
+    });
+
+    return new Map(
+        [...sidecars].map(([relativePath, entries]) => {
+            return [
+                `${relativePath}${SIDECAR_SUFFIX}`,
+                `${JSON.stringify(entries, null, 4)}\n`,
+            ];
+        }),
+    );
+};
+
+/**
+ * Formats signed responses as a "_headers" file, as used by Netlify and
+ * Cloudflare Pages.
+ *
+ * @function  formatHeadersFile
+ * @param     {Array}  responses  The signed responses, as returned by signDirectory.
+ * @returns   {String}            The header rules.
+ */
+const formatHeadersFile = (responses) => {
+    return responses
+        .map(({ url, headers }) => {
+            return [
+                new URL(url).pathname,
+                ...Object.entries(headers).map(([name, value]) => {
+                    return `  ${name}: ${value}`;
+                }),
+            ].join("\n");
+        })
+        .join("\n\n")
+        .concat("\n");
+};
+
+/**
+ * Formats signed responses as nginx location blocks, to be included in the
+ * server block serving the directory. Directory URLs are served from their
+ * index file directly, as an internal redirect would select the location of
+ * the index file instead.
+ *
+ * @function  formatNginxConfig
+ * @param     {Array}  responses  The signed responses, as returned by signDirectory.
+ * @returns   {String}            The nginx configuration.
+ */
+const formatNginxConfig = (responses) => {
+    const quote = (value) => {
+        return `"${value.replace(/["\\]/g, "\\$&")}"`;
+    };
+
+    return responses
+        .map(({ path: relativePath, url, headers }) => {
+            const { pathname } = new URL(url);
+            const { "Content-Type": contentType, ...harcHeaders } = headers;
+            const lines = [
+                `location = ${quote(decodeURIComponent(pathname))} {`,
+                "    types { }",
+                `    default_type ${quote(contentType)};`,
+            ];
+
+            if (pathname.endsWith("/")) {
+                lines.push(`    try_files ${quote(`/${relativePath}`)} =404;`);
+            }
+
+            Object.entries(harcHeaders).forEach(([name, value]) => {
+                lines.push(`    add_header ${name} ${quote(value)} always;`);
+            });
+
+            return [...lines, "}"].join("\n");
+        })
+        .join("\n\n")
+        .concat("\n");
+};
+
+module.exports = {
+    MANIFEST_FORMATS,
+    SIDECAR_SUFFIX,
+    formatHeadersFile,
+    formatNginxConfig,
+    formatSidecars,
+    listFiles,
+    signDirectory,
+};
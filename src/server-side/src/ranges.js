@@ -0,0 +1,152 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC partial responses.
+ *
+ * A partial (206) response is signed over the bytes of its range, and over
+ * the digest of the full representation it is part of. The representation is
+ * fetched in full from the upstream server to digest it, unless its digest is
+ * already known from a previous response with the same entity tag.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { DIGEST_LABEL } = require("./signing");
+
+const CRYPTO_OUTPUT_ENCODING = "base64";
+
+// Request headers not forwarded when fetching the full representation, so
+// that it is neither partial nor conditional.
+const EXCLUDED_REQUEST_HEADERS = [
+    "if-match",
+    "if-modified-since",
+    "if-none-match",
+    "if-range",
+    "if-unmodified-since",
+    "range",
+];
+
+/**
+ * Parses a Content-Range header of a byte range.
+ *
+ * @function  parseContentRange
+ * @param     {String}  value  The header value, e.g. "bytes 0-99/1000".
+ * @returns   {Object}         The first and last byte positions, and the
+ *                             complete length or null if unknown, or null if
+ *                             the value is invalid.
+ */
+const parseContentRange = (value) => {
+    const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec(`${value}`.trim());
+
+    if (match === null || Number(match[1]) > Number(match[2])) {
+        return null;
+    }
+
+    return {
+        start: Number(match[1]),
+        end: Number(match[2]),
+        length: match[3] === "*" ? null : Number(match[3]),
+    };
+};
+
+/**
+ * Determines whether an entity tag is strong. Only strong entity tags
+ * identify the exact bytes of a representation.
+ *
+ * @function  isStrongEtag
+ * @param     {String}  etag  The ETag header value.
+ * @returns   {boolean}       Whether the entity tag is strong.
+ */
+const isStrongEtag = (etag) => {
+    return typeof etag === "string" && /^"[^"]*"$/.test(etag.trim());
+};
+
+/**
+ * Fetches the full representation of a resource from the upstream server,
+ * and digests it without retaining it.
+ *
+ * @async
+ * @function  fetchRepresentationDigest
+ * @param     {URL}     url      The URL of the resource on the upstream server.
+ * @param     {Object}  headers  The headers of the client request.
+ * @param     {int}     timeout  The timeout, in milliseconds.
+ * @returns   {Object}           The labelled digest, the length and the
+ *                               headers of the representation.
+ * @throws    {Error}            If the representation cannot be fetched.
+ */
+const fetchRepresentationDigest = (url, headers, timeout) => {
+    const requestHeaders = Object.fromEntries(
+        Object.entries(headers).filter(([name]) => {
+            return !EXCLUDED_REQUEST_HEADERS.includes(name.toLowerCase());
+        }),
+    );
+
+    // Ranges refer to the bytes of the unencoded representation.
+    requestHeaders["accept-encoding"] = "identity";
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === "https:" ? https : http).request(
+            url,
+            { method: "GET", headers: requestHeaders },
+            (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(
+                        new Error(
+                            `Unexpected status ${response.statusCode} for full representation`,
+                        ),
+                    );
+                    return;
+                }
+
+                if (
+                    !["identity", undefined].includes(
+                        response.headers["content-encoding"],
+                    )
+                ) {
+                    response.resume();
+                    reject(new Error("Full representation is encoded"));
+                    return;
+                }
+
+                const hash = crypto.createHash("sha256");
+                let length = 0;
+
+                response.on("data", (chunk) => {
+                    hash.update(chunk);
+                    length += chunk.length;
+                });
+                response.on("error", reject);
+                response.on("end", () => {
+                    resolve({
+                        digest: `${DIGEST_LABEL}=${hash.digest(
+                            CRYPTO_OUTPUT_ENCODING,
+                        )}`,
+                        length: length,
+                        headers: response.headers,
+                    });
+                });
+            },
+        );
+
+        request.setTimeout(timeout, () => {
+            request.destroy(new Error(`Timed out after ${timeout} ms`));
+        });
+        request.on("error", reject);
+        request.end();
+    });
+};
+
+module.exports = {
+    fetchRepresentationDigest,
+    isStrongEtag,
+    parseContentRange,
+};
@@ -0,0 +1,179 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC virtual host routing.
+ *
+ * A route maps requests for a host, optionally restricted to a path prefix,
+ * to an upstream server and the signing key of the site. Routes are written
+ * as "HOST[/PATH_PREFIX]=UPSTREAM[,KEY]", for example:
+ *
+ *     example.com=http://10.0.0.2:8080
+ *     example.com/blog=http://10.0.0.3:8080,1a2b3c4d5e6f7a8b
+ *
+ * In the configuration file, routes may also be written as objects with the
+ * "host", "pathPrefix", "upstream" and "key" properties.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+/**
+ * Normalises a host name, removing any port number.
+ *
+ * @function  normalizeHost
+ * @param     {String}  host  The host, e.g. from the Host HTTP header.
+ * @returns   {String}        The lowercase host name, or null if invalid.
+ */
+const normalizeHost = (host) => {
+    try {
+        return new URL(`http://${host}`).hostname;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Checks whether a request path falls under a path prefix.
+ * Prefixes only match whole path segments, so "/blog" does not match "/blogs".
+ *
+ * @function  matchesPathPrefix
+ * @param     {String}   path        The request path.
+ * @param     {String}   pathPrefix  The path prefix.
+ * @returns   {boolean}              Whether the path matches.
+ */
+const matchesPathPrefix = (path, pathPrefix) => {
+    if (pathPrefix === "/" || path === pathPrefix) {
+        return true;
+    }
+
+    return (
+        path.startsWith(pathPrefix) &&
+        ["/", "?"].includes(path.charAt(pathPrefix.length))
+    );
+};
+
+/**
+ * Parses a route.
+ *
+ * @function  parseRoute
+ * @param     {(String|Object)}  route  The route, as "HOST[/PATH_PREFIX]=UPSTREAM[,KEY]"
+ *                                      or as an object.
+ * @returns   {Object}                  The host, path prefix, upstream and signing
+ *                                      key reference (null for the default key).
+ * @throws    {Error}                   If the route is invalid.
+ */
+const parseRoute = (route) => {
+    let spec = route;
+
+    if (route !== null && typeof route === "object") {
+        if (
+            route.pathPrefix !== undefined &&
+            !`${route.pathPrefix}`.startsWith("/")
+        ) {
+            throw new Error(`Invalid path prefix '${route.pathPrefix}'`);
+        }
+
+        spec = `${route.host ?? ""}${route.pathPrefix ?? ""}=${
+            route.upstream ?? ""
+        }${route.key === undefined ? "" : `,${route.key}`}`;
+    } else if (typeof route !== "string") {
+        throw new Error("Expected HOST[/PATH_PREFIX]=UPSTREAM[,KEY]");
+    }
+
+    const separator = spec.indexOf("=");
+
+    if (separator === -1) {
+        throw new Error("Expected HOST[/PATH_PREFIX]=UPSTREAM[,KEY]");
+    }
+
+    const site = spec.substring(0, separator).trim();
+    const [upstream, key, ...rest] = spec.substring(separator + 1).split(",");
+
+    if (rest.length !== 0) {
+        throw new Error("Expected HOST[/PATH_PREFIX]=UPSTREAM[,KEY]");
+    }
+
+    const slash = site.indexOf("/");
+    const hostPart = slash === -1 ? site : site.substring(0, slash);
+    const host = normalizeHost(hostPart);
+    const pathPrefix =
+        slash === -1 ? "/" : site.substring(slash).replace(/(.)\/+$/, "$1");
+
+    // Host names must be given without a port number.
+    if (host === null || host === "" || host !== hostPart.toLowerCase()) {
+        throw new Error(`Invalid host '${hostPart}'`);
+    }
+
+    let upstreamUrl;
+
+    try {
+        upstreamUrl = new URL(upstream.trim());
+    } catch (error) {
+        throw new Error(`Invalid upstream '${upstream.trim()}'`);
+    }
+
+    if (!["http:", "https:"].includes(upstreamUrl.protocol)) {
+        throw new Error(`Invalid upstream '${upstream.trim()}'`);
+    }
+
+    return {
+        host: host,
+        pathPrefix: pathPrefix,
+        upstream: upstreamUrl.href,
+        key: key === undefined || key.trim() === "" ? null : key.trim(),
+    };
+};
+
+/**
+ * Formats the host and path prefix of a route for display.
+ *
+ * @function  formatRoute
+ * @param     {Object}  route  The route.
+ * @returns   {String}         The host and path prefix, or "*" for the default route.
+ */
+const formatRoute = (route) => {
+    if (route.host === null) {
+        return "*";
+    }
+
+    return `${route.host}${route.pathPrefix === "/" ? "" : route.pathPrefix}`;
+};
+
+/**
+ * Creates a router selecting the route of a request.
+ * Routes for a specific host take precedence over the default route, and
+ * longer path prefixes take precedence over shorter ones.
+ *
+ * @function  createRouter
+ * @param     {Array}   routes  The routes. A route with a null host is the
+ *                              default route, matching any host.
+ * @returns   {Function}        Returns the route of a request, or null.
+ */
+const createRouter = (routes) => {
+    const sortedRoutes = routes.slice().sort((a, b) => {
+        if ((a.host === null) !== (b.host === null)) {
+            return a.host === null ? 1 : -1;
+        }
+
+        return b.pathPrefix.length - a.pathPrefix.length;
+    });
+
+    return (request) => {
+        const host = normalizeHost(request.headers.host ?? "");
+
+        return (
+            sortedRoutes.find((route) => {
+                return (
+                    (route.host === null || route.host === host) &&
+                    matchesPathPrefix(request.url, route.pathPrefix)
+                );
+            }) ?? null
+        );
+    };
+};
+
+module.exports = { createRouter, formatRoute, parseRoute };
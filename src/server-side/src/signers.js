@@ -0,0 +1,436 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC signers.
+ *
+ * A signer holds a signing key and signs canonical signing inputs, which
+ * cover the digest of the response content but never the content itself.
+ * The key is either loaded into this process from a key file, or held by an
+ * external signer, reached over a Unix socket given as "unix:PATH".
+ *
+ * The external signer protocol exchanges JSON messages, one per line, over
+ * a stream socket. Each request carries an ID, which is echoed in its
+ * response. Requests may be pipelined, and responses may arrive in any order.
+ *
+ *     > {"id":1,"method":"describe"}
+ *     < {"id":1,"result":{"algorithm":"Ed25519","publicKey":"MCowBQYDK2VwAyEA..."}}
+ *     > {"id":2,"method":"sign","keyId":"8d09ac91cb49f035","input":"QGhhcmM6IDEK..."}
+ *     < {"id":2,"result":{"signature":"bPbnXsCPpe82lK/DOz+Q..."}}
+ *     < {"id":3,"error":"Not a HARC signing input"}
+ *
+ * "describe" returns the algorithm and the Base64-encoded DER (SPKI) public
+ * key. "sign" returns the Base64-encoded signature of the Base64-encoded
+ * signing input, in the format of the X-ARC-SIGNATURE HTTP header.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const {
+    createSignature,
+    describePublicKey,
+    importSigningKey,
+} = require("./keys");
+const { SIGNING_INPUT_VERSION } = require("./signing");
+
+const CRYPTO_OUTPUT_ENCODING = "base64";
+const SOCKET_SIGNER_PREFIX = "unix:";
+
+// Longest request line accepted by the reference signer, in characters.
+const MAX_REQUEST_LENGTH = 65536;
+
+/**
+ * Creates a signer holding a key loaded from a key file.
+ *
+ * @async
+ * @function  createKeySigner
+ * @param     {String}    keyFilePath    The path to the private key.
+ * @param     {Function}  getPassphrase  Resolves to the passphrase of an
+ *                                       encrypted key.
+ * @returns   {Object}                   The signer.
+ */
+const createKeySigner = async (keyFilePath, getPassphrase) => {
+    const { signingKey, ...key } = await importSigningKey(
+        keyFilePath,
+        getPassphrase,
+    );
+
+    return {
+        ...key,
+        backend: "key",
+        sign: (signingInput) => {
+            return createSignature({ ...key, signingKey }, signingInput);
+        },
+        close: () => {},
+    };
+};
+
+/**
+ * Creates a signer forwarding signing inputs to an external signer over a
+ * Unix socket. The connection is opened on demand, and reopened after it
+ * fails. Requests fail if the signer does not respond in time.
+ *
+ * @async
+ * @function  createSocketSigner
+ * @param     {String}  socketPath  The path to the socket of the signer.
+ * @param     {int}     timeout     The timeout of each request, in milliseconds.
+ * @returns   {Object}              The signer.
+ * @throws    {Error}               If the signer is unavailable.
+ */
+const createSocketSigner = async (socketPath, timeout) => {
+    const pending = new Map();
+    let socket = null;
+    let connecting = null;
+    let received = "";
+    let nextId = 1;
+    let closed = false;
+
+    /**
+     * Settles a pending request. The connection does not keep the process
+     * running while idle, and is ended once idle after the signer is closed.
+     * A closed signer still reconnects for later requests, such as those of
+     * responses in progress.
+     *
+     * @param  {int}       id      The request ID.
+     * @param  {Function}  settle  Called with the request.
+     */
+    const settleRequest = (id, settle) => {
+        const request = pending.get(id);
+
+        if (request === undefined) {
+            // The request timed out before.
+            return;
+        }
+
+        pending.delete(id);
+        clearTimeout(request.timer);
+        settle(request);
+
+        if (pending.size === 0 && socket !== null) {
+            socket.unref();
+
+            if (closed) {
+                socket.end();
+            }
+        }
+    };
+
+    const onData = (data) => {
+        received += data;
+
+        let index = received.indexOf("\n");
+
+        while (index !== -1) {
+            let message;
+
+            try {
+                message = JSON.parse(received.substring(0, index));
+            } catch (error) {
+                socket.destroy(new Error("Malformed response"));
+                return;
+            }
+
+            received = received.substring(index + 1);
+            index = received.indexOf("\n");
+
+            settleRequest(message?.id, ({ resolve, reject }) => {
+                if (message.error === undefined) {
+                    resolve(message.result ?? {});
+                } else {
+                    reject(new Error(`${message.error}`));
+                }
+            });
+        }
+    };
+
+    const connect = () => {
+        if (connecting === null) {
+            connecting = new Promise((resolve, reject) => {
+                const connection = net.createConnection(socketPath);
+
+                connection.setEncoding("utf-8");
+                connection.on("data", onData);
+                connection.on("error", reject);
+                connection.once("connect", () => {
+                    socket = connection;
+                    resolve(connection);
+                });
+                connection.once("close", () => {
+                    socket = null;
+                    connecting = null;
+                    received = "";
+                    [...pending.keys()].forEach((id) => {
+                        settleRequest(id, ({ reject: rejectRequest }) => {
+                            rejectRequest(new Error("Connection closed"));
+                        });
+                    });
+                });
+            });
+        }
+
+        return connecting;
+    };
+
+    const request = (method, params) => {
+        const id = nextId;
+
+        nextId += 1;
+
+        return new Promise((resolve, reject) => {
+            pending.set(id, {
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(() => {
+                    settleRequest(id, () => {
+                        reject(new Error(`Timed out after ${timeout} ms`));
+                    });
+                }, timeout),
+            });
+
+            connect()
+                .then((connection) => {
+                    if (pending.has(id)) {
+                        connection.ref();
+                        connection.write(
+                            `${JSON.stringify({ id, method, ...params })}\n`,
+                        );
+                    }
+                })
+                .catch((error) => {
+                    settleRequest(id, () => {
+                        reject(error);
+                    });
+                });
+        });
+    };
+
+    let description;
+
+    try {
+        description = await request("describe", {});
+    } catch (error) {
+        throw new Error(`External signer unavailable: ${error.message}`);
+    }
+
+    let key;
+
+    try {
+        key = describePublicKey(
+            crypto.createPublicKey({
+                key: Buffer.from(`${description.publicKey}`, "base64"),
+                format: "der",
+                type: "spki",
+            }),
+        );
+    } catch (error) {
+        throw new Error(
+            `Invalid public key of external signer: ${error.message}`,
+        );
+    }
+
+    if (description.algorithm !== key.algorithm) {
+        throw new Error(
+            `External signer algorithm '${description.algorithm}' does not match its public key (${key.algorithm})`,
+        );
+    }
+
+    return {
+        algorithm: key.algorithm,
+        id: key.id,
+        path: `${SOCKET_SIGNER_PREFIX}${socketPath}`,
+        fingerprint: key.fingerprint,
+        publicKey: key.publicKeyDer.toString(CRYPTO_OUTPUT_ENCODING),
+        backend: "socket",
+        sign: async (signingInput) => {
+            try {
+                const result = await request("sign", {
+                    keyId: key.id,
+                    input: signingInput.toString(CRYPTO_OUTPUT_ENCODING),
+                });
+                const signature = Buffer.from(
+                    `${result.signature ?? ""}`,
+                    CRYPTO_OUTPUT_ENCODING,
+                );
+
+                if (signature.length === 0) {
+                    throw new Error("Empty signature");
+                }
+
+                return signature;
+            } catch (error) {
+                throw new Error(
+                    `External signer '${socketPath}' failed: ${error.message}`,
+                );
+            }
+        },
+        close: () => {
+            closed = true;
+
+            if (pending.size === 0 && socket !== null) {
+                socket.end();
+            }
+        },
+    };
+};
+
+/**
+ * Loads a signer.
+ *
+ * @async
+ * @function  loadSigner
+ * @param     {String}    spec                   The path to a private key, or
+ *                                               "unix:PATH" of an external signer.
+ * @param     {Object}    options                The signer options.
+ * @param     {Function}  options.getPassphrase  Resolves to the passphrase of an
+ *                                               encrypted key.
+ * @param     {int}       options.timeout        The timeout of requests to an
+ *                                               external signer, in milliseconds.
+ * @returns   {Object}                           The signer, with its algorithm,
+ *                                               key ID, fingerprint and public key.
+ */
+const loadSigner = (spec, { getPassphrase, timeout }) => {
+    if (spec.startsWith(SOCKET_SIGNER_PREFIX)) {
+        return createSocketSigner(
+            spec.substring(SOCKET_SIGNER_PREFIX.length),
+            timeout,
+        );
+    }
+
+    return createKeySigner(spec, getPassphrase);
+};
+
+/**
+ * Serves a signer over a Unix socket, using the external signer protocol.
+ * Only HARC signing inputs are signed.
+ *
+ * @function  serveSigner
+ * @param     {Object}    signer      The signer, as returned by createKeySigner.
+ * @param     {String}    socketPath  The path to the socket.
+ * @param     {int}       mode        The file mode of the socket.
+ * @param     {Function}  log         Called with a message and log level.
+ * @returns   {net.Server}            The server, once listening.
+ */
+const serveSigner = (signer, socketPath, mode, log) => {
+    const handleMessage = async (message) => {
+        switch (message.method) {
+            case "describe":
+                return {
+                    algorithm: signer.algorithm,
+                    publicKey: signer.publicKey,
+                };
+            case "sign": {
+                if (
+                    message.keyId !== undefined &&
+                    message.keyId !== signer.id
+                ) {
+                    throw new Error(`Unknown key ID '${message.keyId}'`);
+                }
+
+                const signingInput = Buffer.from(
+                    `${message.input ?? ""}`,
+                    CRYPTO_OUTPUT_ENCODING,
+                );
+
+                if (
+                    !signingInput
+                        .toString("utf-8")
+                        .startsWith(`@harc: ${SIGNING_INPUT_VERSION}\n`)
+                ) {
+                    throw new Error("Not a HARC signing input");
+                }
+
+                const signature = await signer.sign(signingInput);
+
+                return {
+                    signature: signature.toString(CRYPTO_OUTPUT_ENCODING),
+                };
+            }
+            default:
+                throw new Error(`Unknown method '${message.method}'`);
+        }
+    };
+
+    const server = net.createServer((connection) => {
+        let received = "";
+
+        connection.setEncoding("utf-8");
+        connection.on("error", (error) => {
+            log(`Signer connection failed: ${error.message}`, "verbose");
+        });
+        connection.on("data", (data) => {
+            received += data;
+
+            let index = received.indexOf("\n");
+
+            while (index !== -1) {
+                const line = received.substring(0, index);
+                let message = null;
+
+                received = received.substring(index + 1);
+                index = received.indexOf("\n");
+
+                try {
+                    message = JSON.parse(line);
+                } catch (error) {
+                    // Answered with an error below.
+                }
+
+                const id = message?.id ?? null;
+
+                Promise.resolve()
+                    .then(() => {
+                        if (message === null || typeof message !== "object") {
+                            throw new Error("Malformed request");
+                        }
+
+                        return handleMessage(message);
+                    })
+                    .then((result) => {
+                        return { id: id, result: result };
+                    })
+                    .catch((error) => {
+                        log(`Signer request failed: ${error.message}`, "warn");
+                        return { id: id, error: error.message };
+                    })
+                    .then((response) => {
+                        if (!connection.destroyed) {
+                            connection.write(`${JSON.stringify(response)}\n`);
+                        }
+                    });
+            }
+
+            if (received.length > MAX_REQUEST_LENGTH) {
+                log("Signer request too long, closing connection", "warn");
+                connection.destroy();
+            }
+        });
+    });
+
+    // Remove a socket left behind by a previous signer.
+    if (fs.lstatSync(socketPath, { throwIfNoEntry: false })?.isSocket()) {
+        fs.unlinkSync(socketPath);
+    }
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(socketPath, () => {
+            fs.chmodSync(socketPath, mode);
+            resolve(server);
+        });
+    });
+};
+
+module.exports = {
+    SOCKET_SIGNER_PREFIX,
+    createKeySigner,
+    createSocketSigner,
+    loadSigner,
+    serveSigner,
+};
@@ -0,0 +1,242 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC canonical signing input.
+ *
+ * A signature covers the request method, the effective request URL, the
+ * response status, its validity period, a list of response headers and the
+ * digest of the response content. These are serialised one per line as
+ * "name: value", joined using "\n", in the following order:
+ *
+ *     @harc: 1
+ *     @method: GET
+ *     @url: https://example.com/index.html
+ *     @status: 200
+ *     @created: 1650000000
+ *     @expires: 1650003600
+ *     @signed-headers: content-type, location
+ *     content-type: text/html; charset=utf-8
+ *     location:
+ *     @digest: sha-256=<base64>
+ *
+ * Partial (206) responses also sign the "content-range" header, and the
+ * digest of the full representation on a "@representation-digest" line
+ * before "@digest". HEAD and 204 responses have no content, and sign the
+ * digest "none".
+ *
+ * The browser extension rebuilds the same input from the response it received.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const SIGNING_INPUT_VERSION = "1";
+
+// HARC response headers.
+const HARC_HEADER_ALGO = "X-ARC-ALGO";
+const HARC_HEADER_DIGEST = "X-ARC-DIGEST";
+const HARC_HEADER_EXPIRES = "X-ARC-EXPIRES";
+const HARC_HEADER_KEY_ID = "X-ARC-KEY-ID";
+const HARC_HEADER_RECORD_SIZE = "X-ARC-RECORD-SIZE";
+const HARC_HEADER_REPRESENTATION_DIGEST = "X-ARC-REPRESENTATION-DIGEST";
+const HARC_HEADER_SIGNATURE = "X-ARC-SIGNATURE";
+const HARC_HEADER_SIGNED_AT = "X-ARC-SIGNED-AT";
+const HARC_HEADER_SIGNED_HEADERS = "X-ARC-SIGNED-HEADERS";
+const HARC_HEADER_STREAM_ID = "X-ARC-STREAM-ID";
+const HARC_HEADER_UNSIGNED = "X-ARC-UNSIGNED";
+
+// Path of the signatures of streamed responses, by stream ID.
+const HARC_WELL_KNOWN_SIGNATURE = "/.well-known/harc/signature/";
+
+// Labels of the "@digest" line, identifying how the content was hashed.
+const DIGEST_LABEL = "sha-256";
+const MERKLE_DIGEST_LABEL = "merkle-sha-256";
+
+// Value of the "@digest" line of responses not signed by policy. Their
+// signature only states that the content was deliberately left unsigned.
+const UNSIGNED_DIGEST = "unsigned";
+
+// Value of the "@digest" line of responses without content: responses to
+// HEAD requests, and 204 No Content responses.
+const NO_CONTENT_DIGEST = "none";
+
+// Headers which may legitimately be changed in transit cannot be signed.
+const UNSIGNABLE_HEADERS = [
+    "connection",
+    "content-encoding",
+    "content-length",
+    "keep-alive",
+    "proxy-connection",
+    "te",
+    "trailer",
+    "transfer-encoding",
+    "upgrade",
+    "vary",
+];
+
+/**
+ * Parses and validates a list of header names to sign.
+ *
+ * @function  parseSignedHeaders
+ * @param     {Array}  names  The header names. Entries may be comma-separated lists.
+ * @returns   {Array}         The lowercase header names.
+ * @throws    {Error}         If a header cannot be signed.
+ */
+const parseSignedHeaders = (names) => {
+    const signedHeaders = [];
+
+    names
+        .flatMap((name) => {
+            return `${name}`.split(",");
+        })
+        .map((name) => {
+            return name.trim().toLowerCase();
+        })
+        .filter((name) => {
+            return name !== "";
+        })
+        .forEach((name) => {
+            if (!/^[!#$%&'*+\-.^_`|~0-9a-z]+$/.test(name)) {
+                throw new Error(`Invalid header name '${name}'`);
+            } else if (
+                UNSIGNABLE_HEADERS.includes(name) ||
+                name.startsWith("x-arc-")
+            ) {
+                throw new Error(`Header '${name}' cannot be signed`);
+            }
+
+            if (!signedHeaders.includes(name)) {
+                signedHeaders.push(name);
+            }
+        });
+
+    return signedHeaders;
+};
+
+/**
+ * Canonicalises a header value. Multiple values are joined using ", ",
+ * and a missing header has an empty value.
+ *
+ * @function  canonicalizeHeaderValue
+ * @param     {(String|Array|int)}  value  The header value, as set on the response.
+ * @returns   {String}                     The canonical header value.
+ */
+const canonicalizeHeaderValue = (value) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+
+    return (Array.isArray(value) ? value : [value])
+        .map((v) => {
+            return `${v}`.trim();
+        })
+        .join(", ");
+};
+
+/**
+ * Builds the canonical signing input of a response.
+ *
+ * @function  buildSigningInput
+ * @param     {Object}  response                The response.
+ * @param     {String}  response.method         The request method.
+ * @param     {String}  response.url            The effective request URL.
+ * @param     {int}     response.status         The response status code.
+ * @param     {int}     response.created        The signing time, in seconds since the epoch.
+ * @param     {int}     response.expires        The expiry time, in seconds since the epoch.
+ * @param     {Array}   response.signedHeaders  The names of the signed headers.
+ * @param     {Function} response.getHeader     Returns the value of a response header.
+ * @param     {String}  response.digest         The labelled content digest.
+ * @param     {String}  [response.representationDigest]  The labelled digest of
+ *                                              the full representation, for
+ *                                              partial responses.
+ * @returns   {Buffer}                          The signing input.
+ */
+const buildSigningInput = ({
+    method,
+    url,
+    status,
+    created,
+    expires,
+    signedHeaders,
+    getHeader,
+    digest,
+    representationDigest,
+}) => {
+    const lines = [
+        `@harc: ${SIGNING_INPUT_VERSION}`,
+        `@method: ${method.toUpperCase()}`,
+        `@url: ${url}`,
+        `@status: ${status}`,
+        `@created: ${created}`,
+        `@expires: ${expires}`,
+        `@signed-headers: ${signedHeaders.join(", ")}`,
+        ...signedHeaders.map((name) => {
+            return `${name}: ${canonicalizeHeaderValue(getHeader(name))}`;
+        }),
+        ...(representationDigest === undefined
+            ? []
+            : [`@representation-digest: ${representationDigest}`]),
+        `@digest: ${digest}`,
+    ];
+
+    return Buffer.from(lines.join("\n"), "utf-8");
+};
+
+/**
+ * Determines the effective request URL, as seen by the client.
+ *
+ * @function  getEffectiveUrl
+ * @param     {http.IncomingMessage}  request  The client request.
+ * @param     {String}                scheme   The scheme of the listener.
+ * @returns   {String}                         The effective request URL.
+ */
+const getEffectiveUrl = (request, scheme) => {
+    // Use X-Forwarded-Proto if present, e.g. behind a TLS-terminating CDN.
+    const forwardedProto = (request.headers["x-forwarded-proto"] ?? "")
+        .split(",")[0]
+        .trim()
+        .toLowerCase();
+    const effectiveScheme = ["http", "https"].includes(forwardedProto)
+        ? forwardedProto
+        : scheme;
+    const base = `${effectiveScheme}://${request.headers.host ?? "localhost"}`;
+
+    try {
+        const url = new URL(request.url, base);
+
+        url.hash = "";
+
+        return url.href;
+    } catch (error) {
+        // Invalid Host header. The browser would not have sent such a request.
+        return `${base}${request.url}`;
+    }
+};
+
+module.exports = {
+    DIGEST_LABEL,
+    HARC_HEADER_ALGO,
+    HARC_HEADER_DIGEST,
+    HARC_HEADER_EXPIRES,
+    HARC_HEADER_KEY_ID,
+    HARC_HEADER_RECORD_SIZE,
+    HARC_HEADER_REPRESENTATION_DIGEST,
+    HARC_HEADER_SIGNATURE,
+    HARC_HEADER_SIGNED_AT,
+    HARC_HEADER_SIGNED_HEADERS,
+    HARC_HEADER_STREAM_ID,
+    HARC_HEADER_UNSIGNED,
+    HARC_WELL_KNOWN_SIGNATURE,
+    MERKLE_DIGEST_LABEL,
+    NO_CONTENT_DIGEST,
+    SIGNING_INPUT_VERSION,
+    UNSIGNED_DIGEST,
+    buildSigningInput,
+    canonicalizeHeaderValue,
+    getEffectiveUrl,
+    parseSignedHeaders,
+};
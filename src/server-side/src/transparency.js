@@ -0,0 +1,654 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC transparency log of signed responses.
+ *
+ * Each signed response is recorded as an entry of its effective URL, content
+ * digest, key ID and signing time, appended to a Merkle tree hashed as
+ * described in RFC 6962, Section 2.1. The leaf of each entry is its
+ * serialisation, one field per line:
+ *
+ *     @harc-log: 1
+ *     @url: https://example.com/index.html
+ *     @digest: sha-256=<base64>
+ *     @key-id: f712a3827489bea6
+ *     @timestamp: 1650000000
+ *
+ * Tree heads are signed using the active signing key, over:
+ *
+ *     @harc: 1
+ *     @log-tree-size: 42
+ *     @log-root: sha-256=<base64>
+ *     @log-timestamp: 1650000000
+ *
+ * Response signing inputs continue with "@method" instead, so that a tree
+ * head signature is never valid for a response. Inclusion and consistency
+ * proofs are those of RFC 6962, Section 2.1.1 and 2.1.2, and are verified
+ * as described in RFC 9162, Section 2.1.3.2 and 2.1.4.2.
+ *
+ * Entries are stored one JSON object per line in a file which is only
+ * appended to, and from which the tree is rebuilt on startup.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const { subtle } = require("crypto").webcrypto;
+const fs = require("fs");
+const { SIGNATURE_ALGORITHMS } = require("./algorithms");
+const { describePublicKey } = require("./keys");
+const { hashLeaf, hashNode } = require("./merkle");
+const { DIGEST_LABEL, SIGNING_INPUT_VERSION } = require("./signing");
+
+const CRYPTO_OUTPUT_ENCODING = "base64";
+const LOG_ENTRY_VERSION = "1";
+const HASH_LENGTH = 32;
+
+/**
+ * Validates a log entry, such as one received from a cluster worker or read
+ * from the log file.
+ *
+ * @function  parseEntry
+ * @param     {Object}  entry  The entry.
+ * @returns   {Object}         The URL, digest, key ID and timestamp of the entry.
+ * @throws    {Error}          If the entry is invalid.
+ */
+const parseEntry = (entry) => {
+    const { url, digest, keyId, timestamp } = entry ?? {};
+
+    if (
+        ![url, digest, keyId].every((field) => {
+            return typeof field === "string" && !/[\r\n]/.test(field);
+        }) ||
+        !Number.isInteger(timestamp)
+    ) {
+        throw new Error("Invalid log entry");
+    }
+
+    return { url: url, digest: digest, keyId: keyId, timestamp: timestamp };
+};
+
+/**
+ * Serialises a log entry into the data of its leaf.
+ *
+ * @function  serializeEntry
+ * @param     {Object}  entry  The entry, as returned by parseEntry.
+ * @returns   {Buffer}         The leaf data.
+ */
+const serializeEntry = (entry) => {
+    const lines = [
+        `@harc-log: ${LOG_ENTRY_VERSION}`,
+        `@url: ${entry.url}`,
+        `@digest: ${entry.digest}`,
+        `@key-id: ${entry.keyId}`,
+        `@timestamp: ${entry.timestamp}`,
+    ];
+
+    return Buffer.from(lines.join("\n"), "utf-8");
+};
+
+/**
+ * Builds the signing input of a tree head.
+ *
+ * @function  buildTreeHeadInput
+ * @param     {Object}  treeHead            The tree head.
+ * @param     {int}     treeHead.treeSize   The number of entries.
+ * @param     {String}  treeHead.rootHash   The Base64-encoded root hash.
+ * @param     {int}     treeHead.timestamp  The signing time, in seconds since
+ *                                          the epoch.
+ * @returns   {Buffer}                      The signing input.
+ */
+const buildTreeHeadInput = ({ treeSize, rootHash, timestamp }) => {
+    const lines = [
+        `@harc: ${SIGNING_INPUT_VERSION}`,
+        `@log-tree-size: ${treeSize}`,
+        `@log-root: ${DIGEST_LABEL}=${rootHash}`,
+        `@log-timestamp: ${timestamp}`,
+    ];
+
+    return Buffer.from(lines.join("\n"), "utf-8");
+};
+
+/**
+ * Creates a list of hashes stored contiguously, growing as needed.
+ *
+ * @function  createHashList
+ * @returns   {Object}  The list.
+ */
+const createHashList = () => {
+    let data = Buffer.alloc(HASH_LENGTH * 64);
+    let length = 0;
+
+    return {
+        get length() {
+            return length;
+        },
+        get: (index) => {
+            return data.subarray(
+                index * HASH_LENGTH,
+                (index + 1) * HASH_LENGTH,
+            );
+        },
+        push: (hash) => {
+            if ((length + 1) * HASH_LENGTH > data.length) {
+                const grown = Buffer.alloc(data.length * 2);
+
+                data.copy(grown);
+                data = grown;
+            }
+
+            hash.copy(data, length * HASH_LENGTH);
+            length += 1;
+        },
+    };
+};
+
+/**
+ * Determines the largest power of two smaller than a number.
+ *
+ * @function  splitSize
+ * @param     {int}  size  The number, at least 2.
+ * @returns   {int}        The power of two.
+ */
+const splitSize = (size) => {
+    return 2 ** Math.floor(Math.log2(size - 1));
+};
+
+/**
+ * Creates a Merkle tree of log entries, keeping the hash of every complete
+ * subtree, so that the root and proofs of any tree size are computed using
+ * a logarithmic number of hashes.
+ *
+ * @function  createLogTree
+ * @returns   {Object}  The Merkle tree.
+ */
+const createLogTree = () => {
+    // Hashes of the complete subtrees of 2^level leaves, by level.
+    const levels = [];
+
+    /**
+     * Appends a leaf to the tree.
+     *
+     * @param  {Buffer}  leafHash  The leaf hash.
+     */
+    const append = (leafHash) => {
+        let hash = leafHash;
+        let level = 0;
+        let complete = true;
+
+        while (complete) {
+            if (levels[level] === undefined) {
+                levels.push(createHashList());
+            }
+
+            levels[level].push(hash);
+
+            const { length } = levels[level];
+
+            // Completing a pair completes the subtree of the next level.
+            complete = length % 2 === 0;
+
+            if (complete) {
+                hash = hashNode(
+                    levels[level].get(length - 2),
+                    levels[level].get(length - 1),
+                );
+                level += 1;
+            }
+        }
+    };
+
+    /**
+     * Computes the hash of the leaves in a range, which starts at a multiple
+     * of the power of two splitting it, as in all ranges of RFC 6962.
+     *
+     * @param   {int}     start  The index of the first leaf.
+     * @param   {int}     end    The index following the last leaf.
+     * @returns {Buffer}         The hash.
+     */
+    const hashRange = (start, end) => {
+        const size = end - start;
+
+        if (size === 0) {
+            return crypto.createHash("sha256").digest();
+        }
+
+        const level = Math.log2(size);
+
+        if (Number.isInteger(level) && start % size === 0) {
+            return levels[level].get(start / size);
+        }
+
+        const split = start + splitSize(size);
+
+        return hashNode(hashRange(start, split), hashRange(split, end));
+    };
+
+    /**
+     * Computes the inclusion proof of a leaf within a range.
+     *
+     * @param   {int}    index  The index of the leaf.
+     * @param   {int}    start  The index of the first leaf of the range.
+     * @param   {int}    end    The index following the last leaf of the range.
+     * @returns {Array}         The hashes of the proof, from the leaf up.
+     */
+    const inclusionPath = (index, start, end) => {
+        if (end - start <= 1) {
+            return [];
+        }
+
+        const split = start + splitSize(end - start);
+
+        return index < split
+            ? [...inclusionPath(index, start, split), hashRange(split, end)]
+            : [...inclusionPath(index, split, end), hashRange(start, split)];
+    };
+
+    /**
+     * Computes the consistency proof of a tree size within a range.
+     *
+     * @param   {int}      size      The smaller tree size.
+     * @param   {int}      start     The index of the first leaf of the range.
+     * @param   {int}      end       The index following the last leaf of the range.
+     * @param   {boolean}  original  Whether the range starts the smaller tree,
+     *                               whose root the verifier knows.
+     * @returns {Array}              The hashes of the proof.
+     */
+    const consistencyPath = (size, start, end, original) => {
+        if (size === end) {
+            return original ? [] : [hashRange(start, end)];
+        }
+
+        const split = start + splitSize(end - start);
+
+        if (size <= split) {
+            return [
+                ...consistencyPath(size, start, split, original),
+                hashRange(split, end),
+            ];
+        }
+
+        return [
+            ...consistencyPath(size, split, end, false),
+            hashRange(start, split),
+        ];
+    };
+
+    return {
+        append: append,
+        size: () => {
+            return levels.length === 0 ? 0 : levels[0].length;
+        },
+        root: (size) => {
+            return hashRange(0, size);
+        },
+        inclusionProof: (index, size) => {
+            return inclusionPath(index, 0, size);
+        },
+        consistencyProof: (first, second) => {
+            return consistencyPath(first, 0, second, true);
+        },
+    };
+};
+
+/**
+ * Opens a transparency log, reading its entries from its file, which is
+ * created if it does not exist.
+ *
+ * @function  openTransparencyLog
+ * @param     {String}  filePath  The path to the log file.
+ * @returns   {Object}            The transparency log.
+ * @throws    {Error}             If the log file cannot be read or is invalid.
+ */
+const openTransparencyLog = (filePath) => {
+    const entries = [];
+    const tree = createLogTree();
+    let content = "";
+    let treeHead = null;
+
+    try {
+        content = fs.readFileSync(filePath, "utf-8");
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw new Error(
+                `Failed to read transparency log '${filePath}': ${error.message}`,
+            );
+        }
+    }
+
+    // A partially written entry must not be completed by the next one.
+    if (content !== "" && !content.endsWith("\n")) {
+        throw new Error(
+            `Invalid transparency log '${filePath}': Incomplete last line`,
+        );
+    }
+
+    content
+        .split("\n")
+        .slice(0, -1)
+        .forEach((line, i) => {
+            let entry;
+
+            try {
+                entry = parseEntry(JSON.parse(line));
+            } catch (error) {
+                throw new Error(
+                    `Invalid transparency log '${filePath}': Line ${i + 1}: ${
+                        error.message
+                    }`,
+                );
+            }
+
+            entries.push(entry);
+            tree.append(hashLeaf(serializeEntry(entry)));
+        });
+
+    let fd;
+
+    try {
+        fd = fs.openSync(filePath, "a", 0o640);
+    } catch (error) {
+        throw new Error(
+            `Failed to open transparency log '${filePath}': ${error.message}`,
+        );
+    }
+
+    /**
+     * Appends an entry, writing it synchronously so that it is not lost if
+     * the process exits.
+     *
+     * @param   {Object}  entry  The URL, digest, key ID and timestamp.
+     * @returns {int}            The index of the entry.
+     * @throws  {Error}          If the entry is invalid or cannot be written.
+     */
+    const append = (entry) => {
+        const parsed = parseEntry(entry);
+
+        fs.writeSync(fd, `${JSON.stringify(parsed)}\n`);
+        entries.push(parsed);
+        tree.append(hashLeaf(serializeEntry(parsed)));
+
+        return entries.length - 1;
+    };
+
+    /**
+     * Signs a tree head of the current tree size.
+     *
+     * @async
+     * @param   {Object}  signer  The signer.
+     * @returns {Object}          The signed tree head.
+     */
+    const signTreeHead = async (signer) => {
+        const unsigned = {
+            treeSize: tree.size(),
+            rootHash: tree.root(tree.size()).toString(CRYPTO_OUTPUT_ENCODING),
+            timestamp: Math.floor(Date.now() / 1000),
+        };
+        const signature = await signer.sign(buildTreeHeadInput(unsigned));
+
+        treeHead = {
+            ...unsigned,
+            keyId: signer.id,
+            algorithm: signer.algorithm,
+            signature: signature.toString(CRYPTO_OUTPUT_ENCODING),
+        };
+
+        return treeHead;
+    };
+
+    return {
+        append: append,
+        size: tree.size,
+        signTreeHead: signTreeHead,
+
+        /**
+         * Returns the latest signed tree head, or null.
+         *
+         * @returns {Object}  The signed tree head.
+         */
+        getTreeHead: () => {
+            return treeHead;
+        },
+
+        /**
+         * Returns a range of entries, with their index.
+         *
+         * @param   {int}    start  The index of the first entry.
+         * @param   {int}    end    The index following the last entry.
+         * @returns {Array}         The entries.
+         */
+        getEntries: (start, end) => {
+            return entries.slice(start, end).map((entry, i) => {
+                return { index: start + i, ...entry };
+            });
+        },
+
+        /**
+         * Proves that an entry is included in the tree of a given size.
+         *
+         * @param   {int}     index     The index of the entry.
+         * @param   {int}     treeSize  The tree size, greater than the index.
+         * @returns {Object}            The entry and the inclusion proof.
+         */
+        proveInclusion: (index, treeSize) => {
+            return {
+                index: index,
+                treeSize: treeSize,
+                entry: entries[index],
+                auditPath: tree.inclusionProof(index, treeSize).map((hash) => {
+                    return hash.toString(CRYPTO_OUTPUT_ENCODING);
+                }),
+            };
+        },
+
+        /**
+         * Proves that the tree of a given size is a prefix of a larger one.
+         *
+         * @param   {int}     first   The smaller tree size, at least 1.
+         * @param   {int}     second  The larger tree size.
+         * @returns {Object}          The consistency proof.
+         */
+        proveConsistency: (first, second) => {
+            return {
+                first: first,
+                second: second,
+                consistency: tree
+                    .consistencyProof(first, second)
+                    .map((hash) => {
+                        return hash.toString(CRYPTO_OUTPUT_ENCODING);
+                    }),
+            };
+        },
+
+        close: () => {
+            fs.closeSync(fd);
+        },
+    };
+};
+
+/**
+ * Verifies the inclusion proof of a log entry against a root hash.
+ *
+ * @function  verifyInclusion
+ * @param     {Object}  entry      The entry.
+ * @param     {int}     index      The index of the entry.
+ * @param     {int}     treeSize   The tree size.
+ * @param     {Array}   auditPath  The Base64-encoded hashes of the proof.
+ * @param     {String}  rootHash   The Base64-encoded root hash of the tree.
+ * @returns   {boolean}            Whether the entry is included in the tree.
+ */
+const verifyInclusion = (entry, index, treeSize, auditPath, rootHash) => {
+    if (
+        !Number.isInteger(index) ||
+        !Number.isInteger(treeSize) ||
+        index < 0 ||
+        index >= treeSize
+    ) {
+        return false;
+    }
+
+    let fn = index;
+    let sn = treeSize - 1;
+    let hash = hashLeaf(serializeEntry(parseEntry(entry)));
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const encoded of auditPath) {
+        const p = Buffer.from(encoded, CRYPTO_OUTPUT_ENCODING);
+
+        if (sn === 0) {
+            return false;
+        }
+
+        if (fn % 2 === 1 || fn === sn) {
+            hash = hashNode(p, hash);
+
+            while (fn % 2 === 0 && fn !== 0) {
+                fn /= 2;
+                sn = Math.floor(sn / 2);
+            }
+        } else {
+            hash = hashNode(hash, p);
+        }
+
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && hash.toString(CRYPTO_OUTPUT_ENCODING) === rootHash;
+};
+
+/**
+ * Verifies the consistency proof of two tree sizes against their root hashes.
+ *
+ * @function  verifyConsistency
+ * @param     {int}     first       The smaller tree size.
+ * @param     {int}     second      The larger tree size.
+ * @param     {Array}   proof       The Base64-encoded hashes of the proof.
+ * @param     {String}  firstRoot   The Base64-encoded root hash of the smaller tree.
+ * @param     {String}  secondRoot  The Base64-encoded root hash of the larger tree.
+ * @returns   {boolean}             Whether the smaller tree is a prefix of the
+ *                                  larger one.
+ */
+const verifyConsistency = (first, second, proof, firstRoot, secondRoot) => {
+    if (
+        !Number.isInteger(first) ||
+        !Number.isInteger(second) ||
+        first < 1 ||
+        first > second
+    ) {
+        return false;
+    }
+
+    if (first === second) {
+        return proof.length === 0 && firstRoot === secondRoot;
+    }
+
+    const path = proof.map((encoded) => {
+        return Buffer.from(encoded, CRYPTO_OUTPUT_ENCODING);
+    });
+
+    // The proof omits the root of the smaller tree if it is a complete subtree.
+    if (Number.isInteger(Math.log2(first))) {
+        path.unshift(Buffer.from(firstRoot, CRYPTO_OUTPUT_ENCODING));
+    }
+
+    if (path.length === 0) {
+        return false;
+    }
+
+    let fn = first - 1;
+    let sn = second - 1;
+
+    while (fn % 2 === 1) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+    }
+
+    let firstHash = path[0];
+    let secondHash = path[0];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const c of path.slice(1)) {
+        if (sn === 0) {
+            return false;
+        }
+
+        if (fn % 2 === 1 || fn === sn) {
+            firstHash = hashNode(c, firstHash);
+            secondHash = hashNode(c, secondHash);
+
+            while (fn % 2 === 0 && fn !== 0) {
+                fn /= 2;
+                sn = Math.floor(sn / 2);
+            }
+        } else {
+            secondHash = hashNode(secondHash, c);
+        }
+
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+    }
+
+    return (
+        sn === 0 &&
+        firstHash.toString(CRYPTO_OUTPUT_ENCODING) === firstRoot &&
+        secondHash.toString(CRYPTO_OUTPUT_ENCODING) === secondRoot
+    );
+};
+
+/**
+ * Verifies the signature of a tree head.
+ *
+ * @async
+ * @function  verifyTreeHead
+ * @param     {Object}  treeHead    The signed tree head.
+ * @param     {Array}   publicKeys  The public keys, as crypto.KeyObject.
+ * @throws    {Error}               If no public key has the key ID of the
+ *                                  tree head, or the signature is invalid.
+ */
+const verifyTreeHead = async (treeHead, publicKeys) => {
+    const publicKey = publicKeys.find((key) => {
+        return describePublicKey(key).id === treeHead.keyId;
+    });
+
+    if (publicKey === undefined) {
+        throw new Error(`No public key with key ID '${treeHead.keyId}'`);
+    }
+
+    const { algorithm, publicKeyDer } = describePublicKey(publicKey);
+
+    if (treeHead.algorithm !== algorithm) {
+        throw new Error(
+            `Algorithm '${treeHead.algorithm}' does not match the key (${algorithm})`,
+        );
+    }
+
+    const verified = await subtle.verify(
+        SIGNATURE_ALGORITHMS.get(algorithm).signParams,
+        await subtle.importKey(
+            "spki",
+            publicKeyDer,
+            SIGNATURE_ALGORITHMS.get(algorithm).importParams,
+            false,
+            ["verify"],
+        ),
+        Buffer.from(`${treeHead.signature}`, CRYPTO_OUTPUT_ENCODING),
+        buildTreeHeadInput(treeHead),
+    );
+
+    if (!verified) {
+        throw new Error("Invalid signature");
+    }
+};
+
+module.exports = {
+    openTransparencyLog,
+    verifyConsistency,
+    verifyInclusion,
+    verifyTreeHead,
+};
@@ -0,0 +1,518 @@
+/**
+ * HTTP Authenticated Response Content (HARC):
+ * Provides an additional layer of authentication through a Content Delivery Network.
+ *
+ * HARC response verification.
+ *
+ * Fetches a URL and verifies its response as the browser extension does:
+ * the public keys are resolved from the "_arc" TXT record of the host, and
+ * the signature is verified over the decoded response content. Each step
+ * is reported as it passes or fails, and verification stops at the first
+ * failure.
+ *
+ * @author     Daniel Tan Zhonghao  <2001240@sit.singaporetech.edu.sg>
+ * @author     Ho Xiu Qi            <1802962@sit.singaporetech.edu.sg>
+ * @author     Lim Zhao Xiang       <1802976@sit.singaporetech.edu.sg>
+ * @copyright  Copyright (c) 2022. For the fulfillment of the SIT module
+ *             ICT2206 Web Security (AY2021/2022, Trimester 2).
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { subtle } = require("crypto").webcrypto;
+const {
+    DEFAULT_SIGNATURE_ALGORITHM,
+    SIGNATURE_ALGORITHMS,
+    normalizeSignatureAlgorithm,
+} = require("./algorithms");
+const { getLookupName, parseRecordValue, resolveTxt } = require("./dns");
+const {
+    decodeContentStream,
+    isSupportedContentEncoding,
+    parseContentEncoding,
+} = require("./encoding");
+const { getKeyId } = require("./keys");
+const { createMerkleTree } = require("./merkle");
+const {
+    DIGEST_LABEL,
+    HARC_HEADER_ALGO,
+    HARC_HEADER_DIGEST,
+    HARC_HEADER_EXPIRES,
+    HARC_HEADER_KEY_ID,
+    HARC_HEADER_RECORD_SIZE,
+    HARC_HEADER_REPRESENTATION_DIGEST,
+    HARC_HEADER_SIGNATURE,
+    HARC_HEADER_SIGNED_AT,
+    HARC_HEADER_SIGNED_HEADERS,
+    HARC_HEADER_STREAM_ID,
+    HARC_HEADER_UNSIGNED,
+    HARC_WELL_KNOWN_SIGNATURE,
+    MERKLE_DIGEST_LABEL,
+    NO_CONTENT_DIGEST,
+    UNSIGNED_DIGEST,
+    buildSigningInput,
+} = require("./signing");
+
+const CRYPTO_OUTPUT_ENCODING = "base64";
+
+/**
+ * Fetches a URL, decoding the response content.
+ *
+ * @async
+ * @function  fetchResponse
+ * @param     {URL}     url                The URL.
+ * @param     {Object}  options            The request options.
+ * @param     {String}  options.method     The request method.
+ * @param     {String}  options.range      The Range header of the request, if any.
+ * @param     {String}  options.connectTo  The "host:port" to connect to
+ *                                         instead of the host of the URL, if any.
+ * @param     {int}     options.timeout    The timeout, in milliseconds.
+ * @returns   {Object}                     The status code, headers and decoded content.
+ * @throws    {Error}                      If the request fails.
+ */
+const fetchResponse = (url, { method, range, connectTo, timeout }) => {
+    const connection = {};
+    const headers = {
+        host: url.host,
+        "accept-encoding": "br, gzip, deflate",
+    };
+
+    if (range !== undefined) {
+        // Ranges are signed over the unencoded representation.
+        Object.assign(headers, { range: range, "accept-encoding": "identity" });
+    }
+
+    if (connectTo !== undefined) {
+        const target = new URL(`http://${connectTo}`);
+
+        connection.hostname = target.hostname.replace(/^\[|\]$/g, "");
+        connection.port = target.port || (url.protocol === "https:" ? 443 : 80);
+        connection.servername = url.hostname;
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === "https:" ? https : http).request(
+            url,
+            {
+                method: method,
+                headers: headers,
+                timeout: timeout,
+                ...connection,
+            },
+            (response) => {
+                const codings = parseContentEncoding(
+                    response.headers["content-encoding"],
+                );
+
+                if (!isSupportedContentEncoding(codings)) {
+                    response.destroy();
+                    reject(
+                        new Error(
+                            `Unsupported content encoding '${response.headers["content-encoding"]}'`,
+                        ),
+                    );
+                    return;
+                }
+
+                const chunks = [];
+                const content = decodeContentStream(response, codings);
+
+                content.on("data", (chunk) => {
+                    chunks.push(chunk);
+                });
+                content.on("error", (error) => {
+                    reject(
+                        new Error(
+                            `Failed to decode response content: ${error.message}`,
+                        ),
+                    );
+                });
+                content.on("end", () => {
+                    resolve({
+                        statusCode: response.statusCode,
+                        headers: response.headers,
+                        content: Buffer.concat(chunks),
+                    });
+                });
+            },
+        );
+
+        request.on("timeout", () => {
+            request.destroy(new Error("Request timed out"));
+        });
+        request.on("error", reject);
+        request.end();
+    });
+};
+
+/**
+ * Computes the digest the signature of a response covers: over the exact
+ * bytes of its decoded content, or over the records of a streamed response.
+ *
+ * @function  getContentDigest
+ * @param     {Object}  response  The response, as returned by fetchResponse.
+ * @param     {String}  method    The request method.
+ * @returns   {String}            The labelled digest.
+ */
+const getContentDigest = (response, method) => {
+    if (method === "HEAD" || response.statusCode === 204) {
+        return NO_CONTENT_DIGEST;
+    }
+
+    const recordSize = parseInt(
+        response.headers[HARC_HEADER_RECORD_SIZE.toLowerCase()],
+        10,
+    );
+
+    if (
+        response.statusCode !== 206 &&
+        Number.isInteger(recordSize) &&
+        recordSize > 0
+    ) {
+        const tree = createMerkleTree(recordSize);
+
+        tree.update(response.content);
+
+        return `${MERKLE_DIGEST_LABEL}=${tree
+            .digest()
+            .toString(CRYPTO_OUTPUT_ENCODING)}`;
+    }
+
+    return `${DIGEST_LABEL}=${crypto
+        .createHash("sha256")
+        .update(response.content)
+        .digest(CRYPTO_OUTPUT_ENCODING)}`;
+};
+
+/**
+ * Fetches a URL and verifies the HARC signature of its response.
+ *
+ * @async
+ * @function  verifyUrl
+ * @param     {String}    target             The URL.
+ * @param     {Object}    options            The verification options.
+ * @param     {String}    options.method     The request method.
+ * @param     {String}    options.range      The Range header of the request, if any.
+ * @param     {String}    options.connectTo  The "host:port" to connect to
+ *                                           instead of the host of the URL, if any.
+ * @param     {Object}    options.resolver   The resolver of TXT records, as
+ *                                           accepted by resolveTxt.
+ * @param     {int}       options.clockSkew  The tolerated clock skew, in seconds.
+ * @param     {int}       options.timeout    The timeout of each request, in milliseconds.
+ * @param     {Function}  report             Called with whether each step
+ *                                           passed (true), failed (false) or
+ *                                           is informational (null), and a
+ *                                           description of the step.
+ * @returns   {String}                       The result, as reported by the
+ *                                           browser extension: "trusted",
+ *                                           "unsigned-by-policy",
+ *                                           "ignored-domain", "doh-failure",
+ *                                           "stale-signature" or "untrusted".
+ */
+const verifyUrl = async (target, options, report) => {
+    const url = new URL(target);
+    let response;
+
+    url.hash = "";
+
+    try {
+        response = await fetchResponse(url, options);
+    } catch (error) {
+        report(false, `Fetch ${options.method} ${url.href}: ${error.message}`);
+        return "untrusted";
+    }
+
+    report(
+        true,
+        `Fetch ${options.method} ${url.href}: ${response.statusCode}, ${response.content.length} bytes`,
+    );
+
+    // Public keys.
+    const recordName = getLookupName(url.hostname);
+
+    if (recordName === null) {
+        report(
+            false,
+            `DNS record: '${url.hostname}' has no registrable domain`,
+        );
+        return "ignored-domain";
+    }
+
+    let values;
+
+    try {
+        values = await resolveTxt(recordName, options.resolver);
+    } catch (error) {
+        report(false, `DNS record ${recordName}: ${error.message}`);
+        return "doh-failure";
+    }
+
+    const records = values
+        .map((value) => {
+            const record = parseRecordValue(value);
+
+            if (record === null) {
+                report(null, `Ignoring invalid TXT record: ${value}`);
+            }
+
+            return record;
+        })
+        .filter((record) => {
+            return record !== null;
+        });
+
+    if (records.length === 0) {
+        report(false, `DNS record ${recordName}: No HARC record, not enabled`);
+        return "ignored-domain";
+    }
+
+    const action = records.some((record) => {
+        return record.action === "enforce";
+    })
+        ? "enforce"
+        : "warn";
+
+    report(
+        true,
+        `DNS record ${recordName}: ${records.length} key(s), action '${action}'`,
+    );
+
+    const publicKeys = [];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const record of records) {
+        const publicKeyDer = Buffer.from(record.publicKey, "base64");
+        const id = getKeyId(publicKeyDer);
+
+        try {
+            publicKeys.push({
+                algorithm: record.algorithm,
+                id: id,
+                // eslint-disable-next-line no-await-in-loop
+                key: await subtle.importKey(
+                    "spki",
+                    publicKeyDer,
+                    SIGNATURE_ALGORITHMS.get(record.algorithm).importParams,
+                    false,
+                    ["verify"],
+                ),
+            });
+            report(null, `Published key ${id} (${record.algorithm})`);
+        } catch (error) {
+            report(null, `Ignoring invalid public key: ${record.publicKey}`);
+        }
+    }
+
+    if (publicKeys.length === 0) {
+        report(false, "Public keys: No valid public key published");
+        return "untrusted";
+    }
+
+    // HARC headers.
+    const getHeader = (name) => {
+        const value = response.headers[name.toLowerCase()];
+
+        return value === undefined ? null : `${value}`.trim();
+    };
+    const algorithmHeader = getHeader(HARC_HEADER_ALGO);
+    const algorithm =
+        algorithmHeader === null
+            ? DEFAULT_SIGNATURE_ALGORITHM
+            : normalizeSignatureAlgorithm(algorithmHeader);
+    const keyId = getHeader(HARC_HEADER_KEY_ID)?.toLowerCase() ?? null;
+    const signedAt = parseInt(getHeader(HARC_HEADER_SIGNED_AT), 10);
+    const expires = parseInt(getHeader(HARC_HEADER_EXPIRES), 10);
+    const signedHeaders = (getHeader(HARC_HEADER_SIGNED_HEADERS) ?? "")
+        .split(",")
+        .map((name) => {
+            return name.trim().toLowerCase();
+        })
+        .filter((name) => {
+            return name !== "";
+        });
+    const unsignedReason =
+        getHeader(HARC_HEADER_UNSIGNED)?.toLowerCase() ?? null;
+    const streamId = getHeader(HARC_HEADER_STREAM_ID);
+    let signature = getHeader(HARC_HEADER_SIGNATURE);
+
+    if (unsignedReason !== null && unsignedReason !== "policy") {
+        report(
+            false,
+            `${HARC_HEADER_UNSIGNED}: Unsupported '${unsignedReason}'`,
+        );
+        return "untrusted";
+    }
+
+    if (algorithm === null) {
+        report(false, `${HARC_HEADER_ALGO}: Unsupported '${algorithmHeader}'`);
+        return "untrusted";
+    }
+
+    report(true, `Algorithm: ${algorithm}`);
+
+    if (signature === null && streamId !== null) {
+        // Streamed response, signature was sent as a HTTP trailer.
+        const signatureUrl = new URL(
+            `${HARC_WELL_KNOWN_SIGNATURE}${encodeURIComponent(streamId)}`,
+            url,
+        );
+
+        try {
+            const result = await fetchResponse(signatureUrl, {
+                ...options,
+                method: "GET",
+            });
+
+            if (result.statusCode !== 200) {
+                throw new Error(`HTTP ${result.statusCode}`);
+            }
+
+            signature = JSON.parse(result.content.toString("utf-8")).signature;
+            report(true, `Signature of stream ${streamId}: Retrieved`);
+        } catch (error) {
+            report(false, `Signature of stream ${streamId}: ${error.message}`);
+            return "untrusted";
+        }
+    }
+
+    if (typeof signature !== "string") {
+        report(false, `${HARC_HEADER_SIGNATURE}: Missing`);
+        return "untrusted";
+    }
+
+    if (!Number.isInteger(signedAt) || !Number.isInteger(expires)) {
+        report(
+            false,
+            `Validity period: Missing ${HARC_HEADER_SIGNED_AT} or ${HARC_HEADER_EXPIRES}`,
+        );
+        return "untrusted";
+    }
+
+    // Select the public key matching the key ID of the signature.
+    const candidateKeys = publicKeys.filter((publicKey) => {
+        return (
+            (keyId === null || publicKey.id === keyId) &&
+            publicKey.algorithm === algorithm
+        );
+    });
+
+    if (candidateKeys.length === 0) {
+        report(
+            false,
+            `Key: No published key with key ID '${keyId}' allows '${algorithm}'`,
+        );
+        return "untrusted";
+    }
+
+    report(
+        true,
+        `Key: ${keyId ?? `No key ID, trying ${candidateKeys.length} key(s)`}`,
+    );
+
+    // Content digest.
+    let digest;
+
+    if (unsignedReason !== null) {
+        digest = UNSIGNED_DIGEST;
+        report(null, "Digest: Content unsigned by policy");
+    } else {
+        digest = getContentDigest(response, options.method);
+
+        const digestHeader = getHeader(HARC_HEADER_DIGEST);
+
+        if (digestHeader === null) {
+            report(null, `Digest: ${digest}`);
+        } else if (digest === `${DIGEST_LABEL}=${digestHeader}`) {
+            report(true, `Digest: ${digest}, matches ${HARC_HEADER_DIGEST}`);
+        } else {
+            report(
+                false,
+                `Digest: ${digest}, does not match ${HARC_HEADER_DIGEST} '${digestHeader}'`,
+            );
+            return "untrusted";
+        }
+    }
+
+    // Partial responses also sign the digest of the full representation.
+    const partial = response.statusCode === 206 && unsignedReason === null;
+    const representationDigest = partial
+        ? getHeader(HARC_HEADER_REPRESENTATION_DIGEST) ?? undefined
+        : undefined;
+
+    if (partial) {
+        if (representationDigest === undefined) {
+            report(
+                false,
+                `Range: Missing ${HARC_HEADER_REPRESENTATION_DIGEST}`,
+            );
+            return "untrusted";
+        }
+
+        report(
+            null,
+            `Range: ${getHeader("content-range")} of ${representationDigest}`,
+        );
+    }
+
+    // Signature.
+    const signatureBytes = Buffer.from(signature, "base64");
+    let verifiedKey = null;
+
+    const signingInput = buildSigningInput({
+        method: options.method,
+        url: url.href,
+        status: response.statusCode,
+        created: signedAt,
+        expires: expires,
+        signedHeaders: signedHeaders,
+        getHeader: (name) => {
+            return response.headers[name];
+        },
+        representationDigest: representationDigest,
+        digest: digest,
+    });
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const publicKey of candidateKeys) {
+        // eslint-disable-next-line no-await-in-loop
+        const verified = await subtle.verify(
+            SIGNATURE_ALGORITHMS.get(algorithm).signParams,
+            publicKey.key,
+            signatureBytes,
+            signingInput,
+        );
+
+        if (verified) {
+            verifiedKey = publicKey;
+            break;
+        }
+    }
+
+    if (verifiedKey === null) {
+        report(false, "Signature: Invalid");
+        return "untrusted";
+    }
+
+    report(true, `Signature: Valid, key ID ${verifiedKey.id}`);
+
+    // Validity period.
+    const now = Math.floor(Date.now() / 1000);
+    const period = `${new Date(signedAt * 1000).toISOString()} to ${new Date(
+        expires * 1000,
+    ).toISOString()}`;
+
+    if (
+        now > expires + options.clockSkew ||
+        now < signedAt - options.clockSkew
+    ) {
+        report(false, `Validity period: Outside ${period}`);
+        return "stale-signature";
+    }
+
+    report(true, `Validity period: ${period}`);
+
+    return unsignedReason === null ? "trusted" : "unsigned-by-policy";
+};
+
+module.exports = { verifyUrl };
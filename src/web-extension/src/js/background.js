@@ -20,17 +20,68 @@
 const DEBUG = false;
 
 const DIGEST_ALGO = "SHA-256";
-const EC_CURVE = "P-256";
-const EC_TYPE = "ECDSA";
+const DEFAULT_SIGNATURE_ALGO = "ECDSA_P-256; SHA-256";
 const HARC_DNS_SUBDOMAIN = "_arc";
 const HARC_HEADER_ALGO = "x-arc-algo";
 const HARC_HEADER_DIGEST = "x-arc-digest";
+const HARC_HEADER_EXPIRES = "x-arc-expires";
+const HARC_HEADER_KEY_ID = "x-arc-key-id";
+const HARC_HEADER_RECORD_SIZE = "x-arc-record-size";
+const HARC_HEADER_REPRESENTATION_DIGEST = "x-arc-representation-digest";
 const HARC_HEADER_SIGNATURE = "x-arc-signature";
+const HARC_HEADER_SIGNED_AT = "x-arc-signed-at";
+const HARC_HEADER_SIGNED_HEADERS = "x-arc-signed-headers";
+const HARC_HEADER_STREAM_ID = "x-arc-stream-id";
+const HARC_HEADER_UNSIGNED = "x-arc-unsigned";
 const HARC_VALID_ACTIONS = ["enforce", "warn"];
+const HARC_WELL_KNOWN_SIGNATURE = "/.well-known/harc/signature/";
+const KEY_ID_LENGTH = 8;
+const MAX_CLOCK_SKEW_TOLERANCE = 3600;
+const DIGEST_LABEL = "sha-256";
+const MERKLE_DIGEST_LABEL = "merkle-sha-256";
+// Signed in place of the digest of responses not signed by policy.
+const UNSIGNED_DIGEST = "unsigned";
+const NO_CONTENT_DIGEST = "none";
+const SIGNING_INPUT_VERSION = "1";
+const MERKLE_LEAF_PREFIX = 0x00;
+const MERKLE_NODE_PREFIX = 0x01;
+
+// WebCrypto parameters of the signature algorithms advertised in X-ARC-ALGO.
+// Must match the HARC Proxy Server.
+const SIGNATURE_ALGORITHMS = new Map([
+    [
+        "ECDSA_P-256; SHA-256",
+        {
+            importParams: { name: "ECDSA", namedCurve: "P-256" },
+            verifyParams: { name: "ECDSA", hash: "SHA-256" },
+        },
+    ],
+    [
+        "ECDSA_P-384; SHA-384",
+        {
+            importParams: { name: "ECDSA", namedCurve: "P-384" },
+            verifyParams: { name: "ECDSA", hash: "SHA-384" },
+        },
+    ],
+    [
+        "Ed25519",
+        {
+            importParams: { name: "Ed25519" },
+            verifyParams: { name: "Ed25519" },
+        },
+    ],
+    [
+        "RSA-PSS; SHA-256",
+        {
+            importParams: { name: "RSA-PSS", hash: "SHA-256" },
+            verifyParams: { name: "RSA-PSS", saltLength: 32 },
+        },
+    ],
+]);
 
 const TAB_ACTION_MAP = new Map();
 const TAB_RESPONSES_MAP = new Map();
-const TAB_RESPONSES_ENCODING_MAP = new Map();
+const TAB_RESPONSES_RECORD_SIZE_MAP = new Map();
 const VALIDATION_RESULT_MAP = new Map();
 
 // Default selection of DOH servers.
@@ -46,6 +97,10 @@ const DOH_SERVER_CHOICES = new Map([
 // Default DOH server: Cloudflare (Mozilla)
 let DNS_DOH_RESOLVER = DOH_SERVER_CHOICES.get("cloudflare-mozilla");
 
+// Tolerated difference between the local clock and the signing server's
+// clock, in seconds, when checking the validity period of a signature.
+let CLOCK_SKEW_TOLERANCE = 60;
+
 /**----------------------------------------------------------------
  * Console Logging functions.
  *----------------------------------------------------------------*/
@@ -101,6 +156,237 @@ const str2ab = (str) => {
     return buffer;
 };
 
+/**
+ * Encodes an ArrayBuffer into a Base64 string.
+ *
+ * @function  ab2b64
+ * @param     {ArrayBuffer}  buffer  The buffer to encode.
+ * @returns   {String}               The Base64 string.
+ */
+const ab2b64 = (buffer) => {
+    return window.btoa(String.fromCharCode(...new Uint8Array(buffer)));
+};
+
+/**
+ * Derives the HARC key ID of a public key.
+ * Must match the key ID derivation of the HARC Proxy Server: the hex encoding
+ * of the first 8 bytes of the SHA-256 digest of the DER-encoded public key.
+ *
+ * @async
+ * @function  getKeyId
+ * @param     {ArrayBuffer}  publicKeyBytes  The DER-encoded public key.
+ * @returns   {String}                       The key ID.
+ */
+const getKeyId = async (publicKeyBytes) => {
+    const digest = await crypto.subtle.digest(DIGEST_ALGO, publicKeyBytes);
+
+    return Array.from(new Uint8Array(digest, 0, KEY_ID_LENGTH))
+        .map((b) => {
+            return b.toString(16).padStart(2, "0");
+        })
+        .join("");
+};
+
+/**----------------------------------------------------------------
+ * Signing input functions.
+ *----------------------------------------------------------------*/
+
+/**
+ * Canonicalises the value of a response header. Multiple values are joined
+ * using ", ", and a missing header has an empty value.
+ * Must match the HARC Proxy Server.
+ *
+ * @function  getCanonicalHeaderValue
+ * @param     {Array}   responseHeaders  The response headers.
+ * @param     {String}  name             The lowercase header name.
+ * @returns   {String}                   The canonical header value.
+ */
+const getCanonicalHeaderValue = (responseHeaders, name) => {
+    return (
+        responseHeaders
+            .filter((header) => {
+                return header.name.toLowerCase() === name;
+            })
+            // Firefox merges multiple Set-Cookie headers using newlines.
+            .flatMap((header) => {
+                return (header.value ?? "").split("\n");
+            })
+            .map((value) => {
+                return value.trim();
+            })
+            .join(", ")
+    );
+};
+
+/**
+ * Builds the canonical signing input of a response, covering the request
+ * method, URL, response status, validity period, signed headers and
+ * content digest. Must match the HARC Proxy Server.
+ *
+ * @function  buildSigningInput
+ * @param     {object}  response                The response object.
+ * @param     {object}  signature               The signature parameters.
+ * @param     {int}     signature.created       The signing time.
+ * @param     {int}     signature.expires       The expiry time.
+ * @param     {Array}   signature.signedHeaders The names of the signed headers.
+ * @param     {String}  signature.digest        The labelled content digest.
+ * @param     {int}     signature.status        The signed status, if not the
+ *                                              response status.
+ * @param     {String}  signature.representationDigest  The labelled digest of
+ *                                              the full representation of a
+ *                                              partial response.
+ * @returns   {Uint8Array}                      The signing input.
+ */
+const buildSigningInput = (
+    response,
+    { created, expires, signedHeaders, digest, status, representationDigest },
+) => {
+    const url = new URL(response.url);
+    url.hash = "";
+
+    const lines = [
+        `@harc: ${SIGNING_INPUT_VERSION}`,
+        `@method: ${response.method.toUpperCase()}`,
+        `@url: ${url.href}`,
+        `@status: ${status ?? response.statusCode}`,
+        `@created: ${created}`,
+        `@expires: ${expires}`,
+        `@signed-headers: ${signedHeaders.join(", ")}`,
+        ...signedHeaders.map((name) => {
+            return `${name}: ${getCanonicalHeaderValue(
+                response.responseHeaders,
+                name,
+            )}`;
+        }),
+        ...(representationDigest === undefined
+            ? []
+            : [`@representation-digest: ${representationDigest}`]),
+        `@digest: ${digest}`,
+    ];
+
+    return new TextEncoder().encode(lines.join("\n"));
+};
+
+/**----------------------------------------------------------------
+ * Merkle tree functions.
+ *----------------------------------------------------------------*/
+
+/**
+ * Computes the hash of a Merkle tree leaf or node, as described in
+ * RFC 6962, Section 2.1. Must match the HARC Proxy Server.
+ *
+ * @async
+ * @function  hashMerkle
+ * @param     {int}           prefix  The leaf or node prefix.
+ * @param     {...Uint8Array} parts   The record, or the child hashes.
+ * @returns   {Uint8Array}            The hash.
+ */
+const hashMerkle = async (prefix, ...parts) => {
+    const data = new Uint8Array(
+        parts.reduce((length, part) => {
+            return length + part.length;
+        }, 1),
+    );
+    let offset = 1;
+
+    data[0] = prefix;
+    parts.forEach((part) => {
+        data.set(part, offset);
+        offset += part.length;
+    });
+
+    return new Uint8Array(await crypto.subtle.digest(DIGEST_ALGO, data));
+};
+
+/**
+ * Creates a Merkle tree that computes the root of streamed response content
+ * incrementally, without retaining the content.
+ *
+ * @function  createMerkleTree
+ * @param     {int}     recordSize  The record size in bytes.
+ * @returns   {Object}              The Merkle tree.
+ */
+const createMerkleTree = (recordSize) => {
+    // Roots of complete subtrees, ordered from largest to smallest.
+    const subtrees = [];
+    const pending = new Uint8Array(recordSize);
+    let pendingLength = 0;
+
+    const addLeaf = async (record) => {
+        let subtree = {
+            hash: await hashMerkle(MERKLE_LEAF_PREFIX, record),
+            size: 1,
+        };
+
+        // Merge complete subtrees of equal size.
+        while (
+            subtrees.length !== 0 &&
+            subtrees[subtrees.length - 1].size === subtree.size
+        ) {
+            const left = subtrees.pop();
+
+            subtree = {
+                // eslint-disable-next-line no-await-in-loop
+                hash: await hashMerkle(
+                    MERKLE_NODE_PREFIX,
+                    left.hash,
+                    subtree.hash,
+                ),
+                size: left.size + subtree.size,
+            };
+        }
+
+        subtrees.push(subtree);
+    };
+
+    const update = async (data) => {
+        const bytes = new Uint8Array(data);
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const length = Math.min(
+                recordSize - pendingLength,
+                bytes.length - offset,
+            );
+
+            pending.set(bytes.subarray(offset, offset + length), pendingLength);
+            pendingLength += length;
+            offset += length;
+
+            if (pendingLength === recordSize) {
+                // eslint-disable-next-line no-await-in-loop
+                await addLeaf(pending);
+                pendingLength = 0;
+            }
+        }
+    };
+
+    const digest = async () => {
+        if (pendingLength !== 0) {
+            await addLeaf(pending.subarray(0, pendingLength));
+            pendingLength = 0;
+        }
+
+        if (subtrees.length === 0) {
+            return new Uint8Array(
+                await crypto.subtle.digest(DIGEST_ALGO, new Uint8Array(0)),
+            );
+        }
+
+        // The RFC 6962 tree places the largest complete subtree on the left.
+        let root = subtrees[subtrees.length - 1].hash;
+
+        for (let i = subtrees.length - 2; i >= 0; --i) {
+            // eslint-disable-next-line no-await-in-loop
+            root = await hashMerkle(MERKLE_NODE_PREFIX, subtrees[i].hash, root);
+        }
+
+        return root;
+    };
+
+    return { update: update, digest: digest };
+};
+
 /**----------------------------------------------------------------
  * DNS-over-HTTP utility functions.
  *----------------------------------------------------------------*/
@@ -209,80 +495,87 @@ const captureResponseContent = async (request) => {
         }
     }
 
-    let decoder;
-    const responseChunksArrayBuffer = [];
+    let merkleTree = null;
+    let merkleTreeUpdate = Promise.resolve();
     const responseChunks = [];
     const responseFilter = browser.webRequest.filterResponseData(requestId);
 
     responseFilter.onstart = () => {
         // This will occur after the response headers have been received.
-        if (TAB_RESPONSES_ENCODING_MAP.has(requestId)) {
-            decoder = new TextDecoder(
-                TAB_RESPONSES_ENCODING_MAP.get(requestId),
+        if (TAB_RESPONSES_RECORD_SIZE_MAP.has(requestId)) {
+            merkleTree = createMerkleTree(
+                TAB_RESPONSES_RECORD_SIZE_MAP.get(requestId),
             );
-            TAB_RESPONSES_ENCODING_MAP.delete(requestId);
-        } else {
-            // Default to latin1 encoding.
-            decoder = new TextDecoder("latin1");
+            TAB_RESPONSES_RECORD_SIZE_MAP.delete(requestId);
         }
     };
 
     responseFilter.ondata = (event) => {
         responseFilter.write(event.data);
 
-        // event.data is an ArrayBuffer.
-        responseChunksArrayBuffer.push(event.data);
+        if (merkleTree !== null) {
+            // Streamed response: hash the content as it arrives, in order.
+            merkleTreeUpdate = merkleTreeUpdate.then(() => {
+                return merkleTree.update(event.data);
+            });
+            return;
+        }
 
-        const chunk = decoder.decode(event.data, { stream: true });
-        responseChunks.push(chunk);
+        // event.data is an ArrayBuffer of the exact bytes received.
+        responseChunks.push(event.data);
     };
 
-    responseFilter.onstop = async () => {
+    responseFilter.onstop = () => {
         responseFilter.close();
-        responseChunks.push(decoder.decode());
 
-        const responseBlob = new Blob(responseChunksArrayBuffer);
+        // Response data is stored as a Promise, as hashing may still be in progress.
+        const tabResponses = TAB_RESPONSES_MAP.get(tabId);
 
-        const responseData = {
-            ab: str2ab(responseChunks.join("")),
-            blob: await responseBlob.arrayBuffer(),
-        };
+        if (merkleTree !== null) {
+            tabResponses.set(
+                request.url,
+                merkleTreeUpdate
+                    .then(() => {
+                        return merkleTree.digest();
+                    })
+                    .then((root) => {
+                        return { root: root };
+                    }),
+            );
+            return;
+        }
 
-        const tabResponses = TAB_RESPONSES_MAP.get(tabId);
-        tabResponses.set(request.url, responseData);
+        tabResponses.set(
+            request.url,
+            new Blob(responseChunks).arrayBuffer().then((content) => {
+                return { content: content };
+            }),
+        );
     };
 };
 
 /**
- * A listener to capture the incoming response header and set
- * the response content encoding. This is needed to determine
- * the correct encoding to use when decoding the response content.
+ * A listener to capture the record size of streamed responses, which
+ * are signed incrementally over a Merkle tree of fixed-size records.
  *
- * @function  captureResponseEncoding
+ * @function  captureResponseRecordSize
  * @param     {object}  response  The response object.
  */
-const captureResponseEncoding = (response) => {
+const captureResponseRecordSize = (response) => {
     if (DNS_DOH_RESOLVER === null) {
         // HARC validation disabled by user.
         return;
     }
 
-    const { requestId } = response;
+    const header = response.responseHeaders.find((h) => {
+        return h.name.toLowerCase() === HARC_HEADER_RECORD_SIZE;
+    });
 
-    // Default to latin1.
-    TAB_RESPONSES_ENCODING_MAP.set(requestId, "latin1");
+    if (header !== undefined) {
+        const recordSize = parseInt(header.value, 10);
 
-    // eslint-disable-next-line no-restricted-syntax
-    for (const header of response.responseHeaders) {
-        if (header.name.toLowerCase() === "content-type") {
-            if (
-                header.value.startsWith("text/html") ||
-                header.value.includes("charset=utf-8") ||
-                header.value.includes("charset=utf8")
-            ) {
-                TAB_RESPONSES_ENCODING_MAP.set(requestId, "utf-8");
-            }
-            break;
+        if (recordSize > 0) {
+            TAB_RESPONSES_RECORD_SIZE_MAP.set(response.requestId, recordSize);
         }
     }
 };
@@ -306,13 +599,81 @@ const clearTabRecords = (tabId) => {
 };
 
 /**
- * Query the DNS for the HARC action and public key of the domain.
+ * Normalise the name of a signature algorithm.
+ *
+ * @function  normalizeSignatureAlgorithm
+ * @param     {String}  algorithm  The algorithm name, e.g. "ECDSA_P-256; SHA-256".
+ * @returns   {String}             The supported algorithm name, or null.
+ */
+const normalizeSignatureAlgorithm = (algorithm) => {
+    const name = algorithm
+        .split(";")
+        .map((part) => {
+            return part.trim();
+        })
+        .join("; ")
+        .toLowerCase();
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const supported of SIGNATURE_ALGORITHMS.keys()) {
+        if (supported.toLowerCase() === name) {
+            return supported;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Parse a HARC DNS TXT record.
+ * Valid formats: ["publicKey", "action; publicKey", "action; algorithm; publicKey"]
+ * The public key may only be used with the algorithm of its record, which
+ * defaults to "ECDSA_P-256; SHA-256".
+ *
+ * @function  parseHARCDNSRecord
+ * @param     {(String|Array)}  record  The TXT record data. Long records, such
+ *                                      as those of RSA keys, are split into
+ *                                      several character strings.
+ * @returns   {Array}                   An array containing the action, public key
+ *                                      and algorithm, or null if the record is
+ *                                      invalid.
+ */
+const parseHARCDNSRecord = (record) => {
+    const data = Array.isArray(record) ? record.join("") : record.toString();
+    const payload = data.split(";");
+
+    if (payload.length === 1) {
+        // Assume only public key in DNS record. Default to "warn" action.
+        return ["warn", payload[0].trim(), DEFAULT_SIGNATURE_ALGO];
+    }
+
+    // [action, publicKey] or [action, algorithm, publicKey]
+    // The algorithm name may itself contain ";", e.g. "ECDSA_P-384; SHA-384".
+    const action = payload[0].trim().toLowerCase();
+    const algorithm =
+        payload.length === 2
+            ? DEFAULT_SIGNATURE_ALGO
+            : normalizeSignatureAlgorithm(payload.slice(1, -1).join(";"));
+
+    if (HARC_VALID_ACTIONS.includes(action) && algorithm !== null) {
+        return [action, payload[payload.length - 1].trim(), algorithm];
+    }
+
+    // Invalid DNS record.
+    return null;
+};
+
+/**
+ * Query the DNS for the HARC action and public keys of the domain.
+ * Multiple TXT records may be published to support key rotation, in which
+ * case the strictest action among the records is used.
  * Valid actions: ["warn", "enforce"]
  *
  * @async
  * @function  getHARCDNSPayload
  * @param     {URL}  url  The active URL.
- * @returns   {Array}     An array containing the action and public key.
+ * @returns   {Array}     An array containing the action and published keys,
+ *                        each with its public key and allowed algorithm.
  */
 const getHARCDNSPayload = async (url) => {
     // eslint-disable-next-line no-undef
@@ -336,40 +697,104 @@ const getHARCDNSPayload = async (url) => {
     logDebug(`Querying TXT Record: ${dnsQueryDomain}`);
 
     let action = "warn";
-    let publicKeyDer = null;
+    const publishedKeys = [];
 
     try {
         const dnsResponse = await resolver.query(dnsQueryDomain, "TXT");
 
-        if (dnsResponse.answers.length === 0) {
-            // No such DNS record.
-            return [null, null];
-        }
+        dnsResponse.answers
+            .filter((answer) => {
+                return answer.type === "TXT";
+            })
+            .forEach((answer) => {
+                const record = parseHARCDNSRecord(answer.data);
 
-        const payload = dnsResponse.answers[0].data.toString().split(";");
+                if (record === null) {
+                    logWarn(`Ignoring invalid TXT record: ${answer.data}`);
+                    return;
+                }
 
-        if (payload.length === 1) {
-            // Assume only public key in DNS record. Default to "warn" action.
-            publicKeyDer = payload[0].trim();
-        } else if (payload.length === 2) {
-            // [action, publicKey]
-            action = payload[0].trim().toLowerCase();
-            publicKeyDer = payload[1].trim();
+                if (record[0] === "enforce") {
+                    action = "enforce";
+                }
 
-            if (!HARC_VALID_ACTIONS.includes(action)) {
-                // Invalid DNS record. Assume HARC not enabled.
-                return [null, null];
-            }
-        } else {
-            // Invalid DNS record. Assume HARC not enabled.
-            return [null, null];
-        }
+                publishedKeys.push({
+                    publicKeyDer: record[1],
+                    algorithm: record[2],
+                });
+            });
     } catch (error) {
         logError(error);
         return ["doh-failure", null];
     }
 
-    return [action, publicKeyDer];
+    if (publishedKeys.length === 0) {
+        // No such DNS record, or no valid records. Assume HARC not enabled.
+        return [null, null];
+    }
+
+    return [action, publishedKeys];
+};
+
+/**
+ * Retrieve the signature of a streamed response from the HARC Proxy Server.
+ * The signature of a streamed response is sent as a HTTP trailer, which is
+ * not accessible to extensions.
+ *
+ * @async
+ * @function  fetchStreamSignature
+ * @param     {String}  url       The response URL.
+ * @param     {String}  streamId  The stream ID of the response.
+ * @returns   {String}            The encoded signature.
+ */
+const fetchStreamSignature = async (url, streamId) => {
+    const signatureUrl = new URL(
+        `${HARC_WELL_KNOWN_SIGNATURE}${encodeURIComponent(streamId)}`,
+        url,
+    );
+    const result = await fetch(signatureUrl, {
+        cache: "no-store",
+        credentials: "omit",
+    });
+
+    if (!result.ok) {
+        throw new Error(
+            `Failed to retrieve signature of stream '${streamId}': HTTP ${result.status}`,
+        );
+    }
+
+    return (await result.json()).signature;
+};
+
+/**
+ * Set the tolerated clock skew.
+ *
+ * @function  setClockSkewTolerance
+ * @param     {int}     tolerance  The tolerated clock skew in seconds.
+ * @returns   {Object}             JavaScript object describing result of
+ *                                 the operation.
+ */
+const setClockSkewTolerance = (tolerance) => {
+    const value = Number(tolerance);
+
+    if (
+        !Number.isInteger(value) ||
+        value < 0 ||
+        value > MAX_CLOCK_SKEW_TOLERANCE
+    ) {
+        return {
+            success: false,
+            message: `Clock skew tolerance must be between 0 and ${MAX_CLOCK_SKEW_TOLERANCE} seconds.`,
+        };
+    }
+
+    CLOCK_SKEW_TOLERANCE = value;
+    logDebug(`Saved clock skew tolerance: ${CLOCK_SKEW_TOLERANCE}`);
+
+    return {
+        success: true,
+        message: "Preference saved.",
+    };
 };
 
 /**
@@ -411,6 +836,12 @@ const handleOnMessage = async (message) => {
         case "setDohPreference":
             result.data = await setDohServer(message.data);
             break;
+        case "getClockSkewTolerance":
+            result.data = CLOCK_SKEW_TOLERANCE;
+            break;
+        case "setClockSkewTolerance":
+            result.data = setClockSkewTolerance(message.data);
+            break;
         case "harcValidationResult":
             result.data = VALIDATION_RESULT_MAP.get(message.tabId);
             break;
@@ -428,8 +859,9 @@ const handleOnMessage = async (message) => {
  * @function  invokeFailure
  * @param     {int}     tabId   The tab ID.
  * @param     {String}  action  The action to perform on failure.
+ * @param     {String}  reason  The validation result to report.
  */
-const invokeFailure = (tabId, action) => {
+const invokeFailure = (tabId, action, reason = "untrusted") => {
     browser.browserAction.setBadgeText({ tabId: tabId, text: "!" });
 
     if (action === "doh-failure") {
@@ -445,7 +877,7 @@ const invokeFailure = (tabId, action) => {
             tabId: tabId,
             color: [217, 0, 0, 255],
         });
-        VALIDATION_RESULT_MAP.set(tabId, "untrusted");
+        VALIDATION_RESULT_MAP.set(tabId, reason);
 
         if (action === "enforce") {
             failureAction = "src/js/actions/block.js";
@@ -491,9 +923,9 @@ const verifyResponseContent = async (response) => {
 
     const dnsPayload = await getHARCDNSPayload(new URL(response.url));
     let action = dnsPayload[0];
-    const publicKeyDer = dnsPayload[1];
+    const publishedKeys = dnsPayload[1];
 
-    if (action === null && publicKeyDer === null) {
+    if (action === null && publishedKeys === null) {
         // HARC is not enabled on this domain.
         logDebug(`HARC not enabled: ${response.url}`);
 
@@ -544,47 +976,125 @@ const verifyResponseContent = async (response) => {
         }
     }
 
-    let publicKey = null;
+    const publicKeys = [];
+    let algorithm = DEFAULT_SIGNATURE_ALGO;
+    let keyId = null;
     let signature = null;
     let signatureEncoded = null;
+    let streamId = null;
+    let signedHeaders = [];
+    let signedAt = null;
+    let expires = null;
+    let unsignedReason = null;
+    let representationDigest;
 
     response.responseHeaders.forEach((header) => {
         switch (header.name.toLowerCase()) {
             case HARC_HEADER_ALGO:
+                algorithm = normalizeSignatureAlgorithm(header.value);
                 logDebug(`Algorithm: ${header.value.trim()}`);
                 break;
             case HARC_HEADER_DIGEST:
                 logDebug(`Digest: ${header.value.trim()}`);
                 break;
+            case HARC_HEADER_KEY_ID:
+                keyId = header.value.trim().toLowerCase();
+                logDebug(`Key ID: ${keyId}`);
+                break;
+            case HARC_HEADER_REPRESENTATION_DIGEST:
+                representationDigest = header.value.trim();
+                logDebug(`Representation Digest: ${representationDigest}`);
+                break;
             case HARC_HEADER_SIGNATURE:
                 signatureEncoded = header.value.trim();
                 logDebug(`Signature: ${signatureEncoded}`);
                 break;
+            case HARC_HEADER_SIGNED_AT:
+                signedAt = parseInt(header.value, 10);
+                logDebug(`Signed At: ${signedAt}`);
+                break;
+            case HARC_HEADER_EXPIRES:
+                expires = parseInt(header.value, 10);
+                logDebug(`Expires: ${expires}`);
+                break;
+            case HARC_HEADER_SIGNED_HEADERS:
+                signedHeaders = header.value
+                    .split(",")
+                    .map((name) => {
+                        return name.trim().toLowerCase();
+                    })
+                    .filter((name) => {
+                        return name !== "";
+                    });
+                logDebug(`Signed Headers: ${signedHeaders.join(", ")}`);
+                break;
+            case HARC_HEADER_STREAM_ID:
+                streamId = header.value.trim();
+                logDebug(`Stream ID: ${streamId}`);
+                break;
+            case HARC_HEADER_UNSIGNED:
+                unsignedReason = header.value.trim().toLowerCase();
+                logDebug(`Unsigned: ${unsignedReason}`);
+                break;
             default:
                 // Do nothing.
                 break;
         }
     });
 
-    // Attempt to parse the public key obtained from DNS.
-    try {
-        publicKey = await crypto.subtle.importKey(
-            "spki",
-            str2ab(window.atob(publicKeyDer)),
-            {
-                name: EC_TYPE,
-                namedCurve: EC_CURVE,
-            },
-            false,
-            ["verify"],
-        );
-    } catch (error) {
-        // Error importing public key.
-        logDebug(`publicKeyDer: ${publicKeyDer}`);
-        logError(error);
+    if (
+        response.statusCode === 304 &&
+        signatureEncoded === null &&
+        streamId === null
+    ) {
+        // Revalidated cached response without a signature of its own. The
+        // cached content was verified when it was received.
+        logDebug(`Cached response revalidated unsigned: ${response.url}`);
+        tabResponses.delete(response.url);
+        return;
+    }
+
+    if (unsignedReason !== null && unsignedReason !== "policy") {
+        logWarn(`Unsupported ${HARC_HEADER_UNSIGNED}: ${response.url}`);
+        invokeFailure(tabId, action);
+        return;
+    }
+
+    if (algorithm === null) {
+        // The signature uses an algorithm this extension does not support.
+        logWarn(`Unsupported ${HARC_HEADER_ALGO}: ${response.url}`);
+        invokeFailure(tabId, action);
+        return;
+    }
+
+    // Attempt to parse the public keys obtained from DNS, using the
+    // algorithm each key is published with.
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { publicKeyDer, algorithm: keyAlgorithm } of publishedKeys) {
+        try {
+            const publicKeyBytes = str2ab(window.atob(publicKeyDer));
+
+            publicKeys.push({
+                algorithm: keyAlgorithm,
+                // eslint-disable-next-line no-await-in-loop
+                id: await getKeyId(publicKeyBytes),
+                // eslint-disable-next-line no-await-in-loop
+                key: await crypto.subtle.importKey(
+                    "spki",
+                    publicKeyBytes,
+                    SIGNATURE_ALGORITHMS.get(keyAlgorithm).importParams,
+                    false,
+                    ["verify"],
+                ),
+            });
+        } catch (error) {
+            // Error importing public key.
+            logDebug(`publicKeyDer: ${publicKeyDer}`);
+            logError(error);
+        }
     }
 
-    if (publicKey === null) {
+    if (publicKeys.length === 0) {
         // Failed to parse public key.
         logWarn(
             `Failed to parse public key. Cannot proceed with validation: ${response.url}`,
@@ -593,6 +1103,25 @@ const verifyResponseContent = async (response) => {
         return;
     }
 
+    const responseData = await tabResponses.get(response.url);
+
+    if (
+        signatureEncoded === null &&
+        streamId !== null &&
+        responseData.root !== undefined
+    ) {
+        // Streamed response, signature was sent as a HTTP trailer.
+        try {
+            signatureEncoded = await fetchStreamSignature(
+                response.url,
+                streamId,
+            );
+            logDebug(`Signature: ${signatureEncoded}`);
+        } catch (error) {
+            logError(error);
+        }
+    }
+
     if (signatureEncoded === null) {
         // HARC enabled but did not receive signature header.
         logWarn(`Missing ${HARC_HEADER_SIGNATURE}: ${response.url}`);
@@ -600,6 +1129,33 @@ const verifyResponseContent = async (response) => {
         return;
     }
 
+    if (!Number.isInteger(signedAt) || !Number.isInteger(expires)) {
+        // Signatures without a validity period are not accepted.
+        logWarn(
+            `Missing ${HARC_HEADER_SIGNED_AT} or ${HARC_HEADER_EXPIRES}: ${response.url}`,
+        );
+        invokeFailure(tabId, action);
+        return;
+    }
+
+    // Select the public key matching the key ID of the signature.
+    // Without a key ID, every published public key is attempted.
+    // A key is only used with the algorithm allowed by its DNS record.
+    const candidateKeys = publicKeys.filter((publicKey) => {
+        return (
+            (keyId === null || publicKey.id === keyId) &&
+            publicKey.algorithm === algorithm
+        );
+    });
+
+    if (candidateKeys.length === 0) {
+        logWarn(
+            `No published public key with key ID '${keyId}' allows algorithm '${algorithm}': ${response.url}`,
+        );
+        invokeFailure(tabId, action);
+        return;
+    }
+
     try {
         signature = str2ab(window.atob(signatureEncoded));
     } catch (error) {
@@ -609,38 +1165,96 @@ const verifyResponseContent = async (response) => {
         return;
     }
 
-    const responseData = tabResponses.get(response.url);
+    // The signature covers the digest of the exact bytes of the response
+    // content. Streamed responses are digested as the Merkle tree root of the
+    // content.
+    let digest;
+    const partial = response.statusCode === 206 && unsignedReason === null;
 
-    // Verify using the data obtained from blob.
-    // This is used as certain binary payloads (e.g. images) do not work with str2ab.
-    // Some resources doesn't play nicely with blob, and will fallback to str2ab.
-    let signatureVerified = await crypto.subtle.verify(
-        {
-            name: EC_TYPE,
-            hash: DIGEST_ALGO,
-        },
-        publicKey,
-        signature,
-        responseData.blob,
-    );
+    if (partial && representationDigest === undefined) {
+        // Partial responses are signed over their full representation too.
+        logWarn(
+            `Missing ${HARC_HEADER_REPRESENTATION_DIGEST}: ${response.url}`,
+        );
+        invokeFailure(tabId, action);
+        return;
+    }
+
+    if (unsignedReason !== null) {
+        // The signature states that the content is deliberately unsigned,
+        // and does not cover the content itself.
+        digest = UNSIGNED_DIGEST;
+    } else if (response.method === "HEAD" || response.statusCode === 204) {
+        // The signature states that the response has no content.
+        digest = NO_CONTENT_DIGEST;
+    } else if (partial || responseData.root === undefined) {
+        // A partial response is signed over the exact bytes of its range.
+        digest = `${DIGEST_LABEL}=${ab2b64(
+            await crypto.subtle.digest(DIGEST_ALGO, responseData.content),
+        )}`;
+    } else {
+        digest = `${MERKLE_DIGEST_LABEL}=${ab2b64(responseData.root)}`;
+    }
 
-    if (!signatureVerified) {
-        // Try using the data generated using str2ab.
+    const signedData = buildSigningInput(response, {
+        created: signedAt,
+        expires: expires,
+        signedHeaders: signedHeaders,
+        digest: digest,
+        // A signed 304 response is signed as the cached 200 response it
+        // revalidates, over the cached content it delivers.
+        status: response.statusCode === 304 ? 200 : undefined,
+        representationDigest: partial ? representationDigest : undefined,
+    });
+    let signatureVerified = false;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const publicKey of candidateKeys) {
+        // eslint-disable-next-line no-await-in-loop
         signatureVerified = await crypto.subtle.verify(
-            {
-                name: EC_TYPE,
-                hash: DIGEST_ALGO,
-            },
-            publicKey,
+            SIGNATURE_ALGORITHMS.get(algorithm).verifyParams,
+            publicKey.key,
             signature,
-            responseData.ab,
+            signedData,
         );
+
+        if (signatureVerified) {
+            logDebug(`Verified with key ID: ${publicKey.id}`);
+            break;
+        }
     }
 
     // Data stored in 'tabResponses' no longer needed.
     tabResponses.delete(response.url);
 
-    if (signatureVerified) {
+    // Reject signatures that are expired or from the future, as they may
+    // be replayed from a previously captured response.
+    const now = Math.floor(Date.now() / 1000);
+
+    if (
+        signatureVerified &&
+        (now > expires + CLOCK_SKEW_TOLERANCE ||
+            now < signedAt - CLOCK_SKEW_TOLERANCE)
+    ) {
+        console.error(
+            `[HARC] Signature is outside its validity period (${signedAt} to ${expires}) for resource: ${response.url}`,
+        );
+        invokeFailure(tabId, action, "stale-signature");
+        return;
+    }
+
+    if (signatureVerified && unsignedReason !== null) {
+        logDebug(`Content unsigned by policy: ${response.url}`);
+        browser.browserAction.setBadgeText({ tabId: tabId, text: "" });
+
+        if (
+            !["doh-failure", "stale-signature", "untrusted"].includes(
+                VALIDATION_RESULT_MAP.get(tabId),
+            )
+        ) {
+            VALIDATION_RESULT_MAP.set(tabId, "unsigned-by-policy");
+        }
+    } else if (signatureVerified) {
         logDebug(`Signature verified: ${response.url}`);
         browser.browserAction.setBadgeText({ tabId: tabId, text: "" });
 
@@ -650,9 +1264,13 @@ const verifyResponseContent = async (response) => {
             if (currentResult === "ignored-domain") {
                 VALIDATION_RESULT_MAP.set(tabId, "trusted-partial");
             } else if (
-                !["doh-failure", "trusted-partial", "untrusted"].includes(
-                    currentResult,
-                )
+                ![
+                    "doh-failure",
+                    "stale-signature",
+                    "trusted-partial",
+                    "unsigned-by-policy",
+                    "untrusted",
+                ].includes(currentResult)
             ) {
                 VALIDATION_RESULT_MAP.set(tabId, "trusted");
             }
@@ -689,7 +1307,7 @@ const entrypoint = async () => {
     );
 
     browser.webRequest.onHeadersReceived.addListener(
-        captureResponseEncoding,
+        captureResponseRecordSize,
         {
             types: ["font", "image", "imageset", "main_frame"],
             urls: ["http://*/*", "https://*/*"],
@@ -14,6 +14,7 @@
 const divDohCustom = document.querySelector("#div-doh-custom");
 const inputDohCustom = document.querySelector("#input-doh-custom");
 const selectorDohChoice = document.querySelector("#selector-doh-choice");
+const inputClockSkew = document.querySelector("#input-clock-skew");
 
 const getCurrentDohSelection = () => {
     browser.runtime
@@ -43,6 +44,22 @@ const getCurrentDohSelection = () => {
         });
 };
 
+const getCurrentClockSkewTolerance = () => {
+    browser.runtime
+        .sendMessage({
+            type: "getClockSkewTolerance",
+        })
+        .then((result) => {
+            inputClockSkew.value = result.data;
+        })
+        .catch(() => {
+            // eslint-disable-next-line no-console
+            console.error(
+                "[HARC] Failed to obtain current clock skew tolerance.",
+            );
+        });
+};
+
 const getHarcValidationResult = () => {
     browser.tabs.query({ currentWindow: true, active: true }).then((tabs) => {
         if (tabs.length === 0) {
@@ -81,11 +98,27 @@ const getHarcValidationResult = () => {
                         output +=
                             '<span class="text-muted">HARC was not deployed on some resources.</span>\n';
                         break;
+                    case "unsigned-by-policy":
+                        output += "<hr>\n";
+                        output +=
+                            '<span class="text-muted">Website content partially validated.</span>\n';
+                        output += "<br>\n";
+                        output +=
+                            '<span class="text-muted">The website does not sign some resources by policy.</span>\n';
+                        break;
                     case "untrusted":
                         output += "<hr>\n";
                         output +=
                             '<span class="text-bold text-danger">❌&nbsp;&nbsp;Website content is not trusted.</span>\n';
                         break;
+                    case "stale-signature":
+                        output += "<hr>\n";
+                        output +=
+                            '<span class="text-bold text-danger">❌&nbsp;&nbsp;Website content signature is expired or not yet valid.</span>\n';
+                        output += "<br>\n";
+                        output +=
+                            '<span class="text-muted">Please check that your system clock is correct.</span>\n';
+                        break;
                     default:
                         break;
                 }
@@ -106,22 +139,32 @@ const getHarcValidationResult = () => {
     });
 };
 
-const communicateDohPreference = (choice, customDohServerAddr = null) => {
-    browser.runtime
-        .sendMessage({
+const communicatePreferences = (choice, customDohServerAddr = null) => {
+    Promise.all([
+        browser.runtime.sendMessage({
             type: "setDohPreference",
             data: {
                 choice: choice,
                 customDohServerAddr: customDohServerAddr,
             },
-        })
-        .then((result) => {
-            document
-                .querySelector("#preference-response")
-                .classList.remove("hidden");
-            document.querySelector("#preference-response-span").textContent =
-                result.data.message;
-        });
+        }),
+        browser.runtime.sendMessage({
+            type: "setClockSkewTolerance",
+            data: inputClockSkew.value.trim(),
+        }),
+    ]).then((results) => {
+        // Report the first failure, if any.
+        const result =
+            results.find((r) => {
+                return !r.data.success;
+            }) ?? results[0];
+
+        document
+            .querySelector("#preference-response")
+            .classList.remove("hidden");
+        document.querySelector("#preference-response-span").textContent =
+            result.data.message;
+    });
 };
 
 const entrypoint = () => {
@@ -143,10 +186,10 @@ const entrypoint = () => {
                     ).textContent =
                         "Please fill in your custom DOH server address.";
                 } else {
-                    communicateDohPreference(choice, customDohServerAddr);
+                    communicatePreferences(choice, customDohServerAddr);
                 }
             } else {
-                communicateDohPreference(choice);
+                communicatePreferences(choice);
             }
         });
 
@@ -165,6 +208,7 @@ const entrypoint = () => {
     });
 
     getCurrentDohSelection();
+    getCurrentClockSkewTolerance();
     getHarcValidationResult();
 };
 